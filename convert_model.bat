@@ -19,9 +19,9 @@ if not exist "best.pt" (
     exit /b 1
 )
 
-REM Install ultralytics if not already installed
-echo 📦 Installing ultralytics...
-pip install ultralytics
+REM Install the export dependencies (ultralytics, onnx)
+echo 📦 Installing requirements...
+pip install -r requirements.txt
 
 REM Run the conversion script
 echo 🔄 Converting model...
@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+// ==============================
+// 🔐 Admin authentication
+// ==============================
+// Admin routes require `Authorization: Bearer <ADMIN_TOKEN>`. When
+// ADMIN_TOKEN isn't set the admin API is disabled entirely.
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return res.status(503).json({ success: false, message: 'Admin API is disabled. Set ADMIN_TOKEN to enable it.' });
+  }
+
+  const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  const provided = Buffer.from(match ? match[1] : '');
+  const expected = Buffer.from(adminToken);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ success: false, message: 'Invalid or missing admin token' });
+  }
+  next();
+}
+
+module.exports = { requireAdmin };
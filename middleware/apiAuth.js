@@ -0,0 +1,94 @@
+require('dotenv').config();
+
+const { apiKeyService, DEFAULT_DAILY_QUOTA, secondsUntilReset } = require('../services/apiKeyService');
+const { TokenBucketLimiter } = require('../services/rateLimiter');
+
+const API_KEYS_REQUIRED = process.env.API_KEYS_REQUIRED !== 'false';
+const RATE_LIMIT_BURST = parseInt(process.env.RATE_LIMIT_BURST, 10) || 30;
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE, 10) || 60;
+
+const limiter = new TokenBucketLimiter({
+  capacity: RATE_LIMIT_BURST,
+  refillPerSecond: RATE_LIMIT_PER_MINUTE / 60,
+});
+
+// ==============================
+// 🔑 API key authentication
+// ==============================
+// Clients send `X-API-Key: ft_…` (or `?api_key=` where headers can't be
+// set, e.g. EventSource). With API_KEYS_REQUIRED=false, requests without a
+// key are let through as anonymous and limited per IP instead.
+function requireApiKey(req, res, next) {
+  const provided = req.get('X-API-Key') || req.query.api_key;
+  if (provided) {
+    req.apiKey = apiKeyService.verify(provided);
+    if (!req.apiKey) return res.status(401).json({ success: false, message: 'Invalid API key' });
+    return next();
+  }
+  if (API_KEYS_REQUIRED) {
+    return res.status(401).json({ success: false, message: 'API key required. Send it in the X-API-Key header.' });
+  }
+  next();
+}
+
+// ==============================
+// 🚦 Rate limiting
+// ==============================
+// Token bucket per API key + client IP.
+function rateLimit(req, res, next) {
+  const client = `${req.apiKey ? req.apiKey.id : 'anonymous'}:${req.ip}`;
+  const result = limiter.take(client);
+  res.set({
+    'X-RateLimit-Limit': String(result.limit),
+    'X-RateLimit-Remaining': String(result.remaining),
+    'X-RateLimit-Reset': String(result.resetSeconds),
+  });
+  if (!result.allowed) {
+    res.set('Retry-After', String(result.retryAfterSeconds));
+    return res.status(429).json({
+      success: false,
+      message: `Rate limit exceeded. Try again in ${result.retryAfterSeconds}s.`,
+      retryAfter: result.retryAfterSeconds,
+    });
+  }
+  next();
+}
+
+// ==============================
+// 📊 Daily detection quota
+// ==============================
+// Counts images, so it runs after the upload has been parsed. `onReject`
+// gets the request so the route can clean up uploaded files.
+function detectionQuota(onReject = () => {}) {
+  return (req, res, next) => {
+    const images = req.files ? req.files.length : req.file || req.imageBuffer ? 1 : 0;
+    if (!images) return next();
+
+    const subject = req.apiKey ? req.apiKey.id : `ip:${req.ip}`;
+    const limit = req.apiKey ? apiKeyService.quotaFor(req.apiKey) : DEFAULT_DAILY_QUOTA;
+    const result = apiKeyService.consume(subject, images, limit);
+    const resetSeconds = secondsUntilReset();
+    res.set({
+      'X-Quota-Limit': String(result.limit),
+      'X-Quota-Remaining': String(result.remaining),
+      'X-Quota-Reset': String(resetSeconds),
+    });
+    if (!result.allowed) {
+      onReject(req);
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        success: false,
+        message: `Daily detection quota of ${result.limit} images exceeded (${result.remaining} left today).`,
+        retryAfter: resetSeconds,
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  requireApiKey,
+  rateLimit,
+  detectionQuota,
+  limiter,
+};
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const { AsyncResource } = require('async_hooks');
+const morgan = require('morgan');
+
+const { LOG_FORMAT, requestContext, logEvent } = require('../services/logger');
+const { httpRequests, httpDuration } = require('../services/metrics');
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+// Query parameters that carry credentials (see apiAuth and userAuth).
+const SECRET_PARAMS = /([?&](?:api(?:_|%5f)key|access(?:_|%5f)token)=)[^&#]*/gi;
+
+// ==============================
+// 🏷️ Request IDs
+// ==============================
+// Reuses a sane incoming X-Request-Id (e.g. from a load balancer) or makes
+// one, echoes it back, and makes it available to every log line the
+// request causes, including those from detection workers.
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  requestContext.run({ requestId: req.id }, () => {
+    // Body parsers and multer continue from the request stream's events,
+    // which would otherwise fire outside this context.
+    req.emit = AsyncResource.bind(req.emit, 'RequestContext', req);
+    next();
+  });
+}
+
+// Route template for metrics labels ("/api/pantry/items/:id"), so IDs in
+// paths don't create a series each.
+function routeOf(req) {
+  return req.route ? `${req.baseUrl}${req.route.path}` : '(unmatched)';
+}
+
+// ==============================
+// 📋 Access log + HTTP metrics
+// ==============================
+function observeRequests(req, res, next) {
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const route = routeOf(req);
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+    if (LOG_FORMAT === 'json') {
+      logEvent('info', 'request', {
+        requestId: req.id,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        route,
+        status: res.statusCode,
+        durationMs: Math.round(seconds * 1000),
+        contentLength: Number(res.get('Content-Length')) || 0,
+        clientId: req.apiKey ? req.apiKey.id : undefined,
+        ip: req.ip,
+      });
+    }
+  });
+  next();
+}
+
+// The JSON log drops the query string; morgan's `:url` keeps it, so
+// credentials in it are masked.
+function redactUrl(url) {
+  return url.replace(SECRET_PARAMS, '$1[redacted]');
+}
+
+morgan.token('url', (req) => redactUrl(req.originalUrl || req.url));
+
+const accessLog = LOG_FORMAT === 'json' ? observeRequests : [observeRequests, morgan(LOG_FORMAT)];
+
+module.exports = { requestId, accessLog };
@@ -0,0 +1,69 @@
+require('dotenv').config();
+
+const { accountService } = require('../services/accountService');
+
+const USER_AUTH_REQUIRED = process.env.USER_AUTH_REQUIRED === 'true';
+
+// ==============================
+// 👤 User sessions
+// ==============================
+// Signed-in users send `Authorization: Bearer <token>` from /api/auth/login
+// alongside the app's API key (or `?access_token=` where headers can't be
+// set, e.g. <img> tags for annotated results). A bad or expired token is a
+// 401 rather than a silent fallback to anonymous, so clients notice and
+// sign in again.
+function authenticateUser(req, res, next) {
+  const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  const token = match ? match[1] : req.query.access_token;
+  if (!token) return next();
+  req.user = accountService.authenticate(token);
+  if (!req.user) return res.status(401).json({ success: false, message: 'Invalid or expired session token' });
+  next();
+}
+
+function requireUser(req, res, next) {
+  if (!req.user) return res.status(401).json({ success: false, message: 'Sign in first. Send the session token as Authorization: Bearer <token>.' });
+  next();
+}
+
+function requireOwner(req, res, next) {
+  if (!req.user) return requireUser(req, res, next);
+  if (req.user.role !== 'owner') return res.status(403).json({ success: false, message: 'Only household owners can do this' });
+  next();
+}
+
+// Household data (detections, history, pantry, suggestions, webhooks)
+// always has an owner: a signed-in user's household or, unless
+// USER_AUTH_REQUIRED=true, the API key. Callers with neither get a 401.
+function requireScope(req, res, next) {
+  if (req.user || (req.apiKey && !USER_AUTH_REQUIRED)) return next();
+  if (USER_AUTH_REQUIRED) return requireUser(req, res, next);
+  res.status(401).json({ success: false, message: 'Sign in or send an API key to access this data' });
+}
+
+// ==============================
+// 🏠 Data scope
+// ==============================
+// Whose data a request reads and writes. `clientId` owns history, pantry
+// items, webhooks and recent results: `household:<id>` for a signed-in
+// user, whose household members share it (`userId` is the member), else
+// the API key, with the optional app-level X-User-Id as `userId`. Null
+// for callers with neither, which requireScope turns away.
+function scopeOf(req) {
+  if (req.user) {
+    return { clientId: `household:${req.user.householdId}`, userId: req.user.id };
+  }
+  return {
+    clientId: req.apiKey ? req.apiKey.id : null,
+    userId: (req.get('X-User-Id') || '').trim().slice(0, 128) || null,
+  };
+}
+
+module.exports = {
+  authenticateUser,
+  requireUser,
+  requireOwner,
+  requireScope,
+  scopeOf,
+  USER_AUTH_REQUIRED,
+};
@@ -0,0 +1,181 @@
+const express = require('express');
+const { storageService } = require('../services/storageService');
+const { apiKeyService } = require('../services/apiKeyService');
+const { historyService } = require('../services/historyService');
+const { modelRegistry } = require('../services/modelRegistry');
+const { inferenceCache } = require('../services/inferenceCache');
+const { sendError } = require('../services/errors');
+const { requireAdmin } = require('../middleware/adminAuth');
+
+const router = express.Router();
+router.use(requireAdmin);
+
+// ==============================
+// 🗂️ Storage knowledge base
+// ==============================
+// Body: { name: "Fresh_Kiwi", storage, shelf_life, tips, signs_of_spoilage, status, waste_disposal? }
+router.post('/storage', (req, res) => {
+  try {
+    const { name, ...entry } = req.body || {};
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({ success: false, message: 'name is required' });
+    }
+    const saved = storageService.createEntry(name, entry);
+    res.status(201).json({ success: true, storage: saved });
+  } catch (error) {
+    sendError(res, error, 'Error creating storage entry');
+  }
+});
+
+// Replace an entry entirely.
+router.put('/storage/:itemName', (req, res) => {
+  try {
+    const saved = storageService.replaceEntry(req.params.itemName, req.body);
+    if (!saved) return res.status(404).json({ success: false, message: 'Item not found' });
+    res.json({ success: true, storage: saved });
+  } catch (error) {
+    sendError(res, error, 'Error updating storage entry');
+  }
+});
+
+// Update some fields of an entry.
+router.patch('/storage/:itemName', (req, res) => {
+  try {
+    const saved = storageService.updateEntry(req.params.itemName, req.body);
+    if (!saved) return res.status(404).json({ success: false, message: 'Item not found' });
+    res.json({ success: true, storage: saved });
+  } catch (error) {
+    sendError(res, error, 'Error updating storage entry');
+  }
+});
+
+router.delete('/storage/:itemName', (req, res) => {
+  try {
+    if (!storageService.deleteEntry(req.params.itemName)) {
+      return res.status(404).json({ success: false, message: 'Item not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Error deleting storage entry');
+  }
+});
+
+// ==============================
+// 🔑 API keys
+// ==============================
+// Body: { name, dailyQuota? }. The plaintext `apiKey` is only returned
+// here; just its hash is stored.
+router.post('/keys', (req, res) => {
+  try {
+    const { key, apiKey } = apiKeyService.createKey(req.body);
+    res.status(201).json({ success: true, key, apiKey });
+  } catch (error) {
+    sendError(res, error, 'Error creating API key');
+  }
+});
+
+router.get('/keys', (req, res) => {
+  res.json({ success: true, keys: apiKeyService.listKeys() });
+});
+
+// Body: { name?, dailyQuota? } (dailyQuota: null → DAILY_DETECTION_QUOTA)
+router.patch('/keys/:id', (req, res) => {
+  try {
+    const key = apiKeyService.updateKey(req.params.id, req.body);
+    if (!key) return res.status(404).json({ success: false, message: 'API key not found' });
+    res.json({ success: true, key });
+  } catch (error) {
+    sendError(res, error, 'Error updating API key');
+  }
+});
+
+router.delete('/keys/:id', (req, res) => {
+  if (!apiKeyService.revokeKey(req.params.id)) {
+    return res.status(404).json({ success: false, message: 'API key not found' });
+  }
+  res.json({ success: true });
+});
+
+// ==============================
+// 🧠 Model registry
+// ==============================
+// GET /api/admin/models → { active, previous, split, models } (rescans MODELS_DIR)
+router.get('/models', (req, res) => {
+  try {
+    modelRegistry.scan();
+    res.json({ success: true, ...modelRegistry.status() });
+  } catch (error) {
+    sendError(res, error, 'Error listing models');
+  }
+});
+
+// Load and validate a model without routing traffic to it.
+router.post('/models/:version/load', async (req, res) => {
+  try {
+    const model = await modelRegistry.load(req.params.version);
+    res.json({ success: true, model });
+  } catch (error) {
+    sendError(res, error, 'Error loading model');
+  }
+});
+
+router.post('/models/:version/activate', async (req, res) => {
+  try {
+    res.json({ success: true, ...(await modelRegistry.activate(req.params.version)) });
+  } catch (error) {
+    sendError(res, error, 'Error activating model');
+  }
+});
+
+router.post('/models/rollback', async (req, res) => {
+  try {
+    res.json({ success: true, ...(await modelRegistry.rollback()) });
+  } catch (error) {
+    sendError(res, error, 'Error rolling back model');
+  }
+});
+
+// Body: { version, percent } → send `percent`% of clients to `version`
+router.put('/models/split', async (req, res) => {
+  try {
+    res.json({ success: true, ...(await modelRegistry.setSplit(req.body)) });
+  } catch (error) {
+    sendError(res, error, 'Error setting model split');
+  }
+});
+
+router.delete('/models/split', (req, res) => {
+  res.json({ success: true, ...modelRegistry.clearSplit() });
+});
+
+// ==============================
+// ♻️ Inference cache
+// ==============================
+router.get('/cache', (req, res) => {
+  res.json({ success: true, cache: inferenceCache.stats() });
+});
+
+// Drops every cached result, in memory and on disk.
+router.delete('/cache', async (req, res) => {
+  try {
+    const removed = await inferenceCache.clear();
+    res.json({ success: true, removed });
+  } catch (error) {
+    sendError(res, error, 'Error clearing inference cache');
+  }
+});
+
+// ==============================
+// 📈 History analytics
+// ==============================
+// Same as /api/history/stats but across all API keys, or one with ?clientId=.
+router.get('/history/stats', (req, res) => {
+  try {
+    const stats = historyService.stats({ ...req.query, clientId: req.query.clientId || undefined });
+    res.json({ success: true, stats });
+  } catch (error) {
+    sendError(res, error, 'Error computing history stats');
+  }
+});
+
+module.exports = router;
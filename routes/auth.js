@@ -0,0 +1,55 @@
+const express = require('express');
+const { accountService } = require('../services/accountService');
+const { requireUser } = require('../middleware/userAuth');
+const { sendError } = require('../services/errors');
+
+const router = express.Router();
+
+function session(user) {
+  return {
+    user: accountService.publicUser(user),
+    household: accountService.getHousehold(user.householdId),
+    ...accountService.issueToken(user),
+  };
+}
+
+// ==============================
+// 👤 Accounts
+// ==============================
+// Body: { email, password, name?, inviteCode? } → the user, their household
+// and a session token. Without an invite code a new household is created
+// with the user as its owner.
+router.post('/register', async (req, res) => {
+  try {
+    const user = await accountService.register(req.body);
+    res.status(201).json({ success: true, ...session(user) });
+  } catch (error) {
+    sendError(res, error, 'Error registering user');
+  }
+});
+
+// Body: { email, password }
+router.post('/login', async (req, res) => {
+  try {
+    const user = await accountService.login(req.body);
+    res.json({ success: true, ...session(user) });
+  } catch (error) {
+    sendError(res, error, 'Error signing in');
+  }
+});
+
+// Ends every session of the user, on all devices.
+router.post('/logout', requireUser, (req, res) => {
+  accountService.logout(req.user);
+  res.json({ success: true });
+});
+
+router.get('/me', requireUser, (req, res) => {
+  res.json({
+    success: true,
+    user: accountService.publicUser(req.user),
+    household: accountService.getHousehold(req.user.householdId),
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const { historyService } = require('../services/historyService');
+const { sendError } = require('../services/errors');
+const { scopeOf } = require('../middleware/userAuth');
+
+const router = express.Router();
+
+// History is shared by a signed-in user's household; otherwise it is per
+// API key. requireScope turns away requests with neither.
+function clientIdOf(req) {
+  return scopeOf(req).clientId;
+}
+
+function publicEntry(entry) {
+  const { image, ...rest } = entry;
+  return {
+    ...rest,
+    image: image ? { mimetype: image.mimetype, size: image.size, url: `/api/history/${entry.id}/image` } : null,
+  };
+}
+
+// ==============================
+// 📈 Analytics
+// ==============================
+// GET /api/history/stats?from=&to=&item=&userId=&interval=day|week|month&top=5
+// → fresh/rotten ratios per item and over time, most detected items and
+// estimated waste. Declared before /:id so "stats" isn't taken for an ID.
+router.get('/stats', (req, res) => {
+  try {
+    const stats = historyService.stats({ ...req.query, clientId: clientIdOf(req) });
+    res.json({ success: true, stats });
+  } catch (error) {
+    sendError(res, error, 'Error computing history stats');
+  }
+});
+
+// ==============================
+// 🕘 Detection history
+// ==============================
+// GET /api/history?page=1&limit=20&from=&to=&item=&label=&status=fresh|rotten&userId=
+// Newest first.
+router.get('/', (req, res) => {
+  try {
+    const { entries, pagination } = historyService.list({ ...req.query, clientId: clientIdOf(req) });
+    res.json({ success: true, history: entries.map(publicEntry), pagination });
+  } catch (error) {
+    sendError(res, error, 'Error fetching history');
+  }
+});
+
+router.get('/:id', (req, res) => {
+  const entry = historyService.get(req.params.id, clientIdOf(req));
+  if (!entry) return res.status(404).json({ success: false, message: 'History entry not found' });
+  res.json({ success: true, entry: publicEntry(entry) });
+});
+
+// Only for requests that opted in with `storeImage`.
+router.get('/:id/image', (req, res) => {
+  const entry = historyService.get(req.params.id, clientIdOf(req));
+  if (!entry) return res.status(404).json({ success: false, message: 'History entry not found' });
+  if (!entry.image) return res.status(404).json({ success: false, message: 'No image was stored for this entry' });
+  res.type(entry.image.mimetype).sendFile(historyService.imagePath(entry), (err) => {
+    if (err && !res.headersSent) res.status(404).json({ success: false, message: 'Stored image is missing' });
+  });
+});
+
+router.delete('/:id', (req, res) => {
+  if (!historyService.remove(req.params.id, clientIdOf(req))) {
+    return res.status(404).json({ success: false, message: 'History entry not found' });
+  }
+  res.json({ success: true });
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+const express = require('express');
+const { accountService } = require('../services/accountService');
+const { requireUser, requireOwner } = require('../middleware/userAuth');
+const { sendError } = require('../services/errors');
+
+const router = express.Router();
+
+router.use(requireUser);
+
+// ==============================
+// 🏠 The caller's household
+// ==============================
+router.get('/', (req, res) => {
+  res.json({ success: true, household: accountService.getHousehold(req.user.householdId) });
+});
+
+// Body: { name }
+router.patch('/', requireOwner, (req, res) => {
+  try {
+    const household = accountService.renameHousehold(req.user.householdId, req.body.name);
+    res.json({ success: true, household });
+  } catch (error) {
+    sendError(res, error, 'Error updating household');
+  }
+});
+
+// Body: { code }. Moves the caller into the invite's household as a
+// member; the last owner of a shared household has to hand over first.
+router.post('/join', (req, res) => {
+  try {
+    const household = accountService.joinHousehold(req.user, req.body.code);
+    res.json({ success: true, household });
+  } catch (error) {
+    sendError(res, error, 'Error joining household');
+  }
+});
+
+// ==============================
+// 👥 Members
+// ==============================
+// Body: { role: "owner" | "member" }
+router.patch('/members/:id', requireOwner, (req, res) => {
+  try {
+    const household = accountService.setRole(req.user.householdId, req.params.id, req.body.role);
+    res.json({ success: true, household });
+  } catch (error) {
+    sendError(res, error, 'Error updating member');
+  }
+});
+
+// Owners remove members; anyone can remove themselves to leave, which
+// gives them a new household of their own. → the caller's household
+// afterwards.
+router.delete('/members/:id', (req, res) => {
+  try {
+    const household = accountService.removeMember(req.user, req.params.id);
+    res.json({ success: true, household });
+  } catch (error) {
+    sendError(res, error, 'Error removing member');
+  }
+});
+
+// ==============================
+// ✉️ Invites
+// ==============================
+router.get('/invites', requireOwner, (req, res) => {
+  res.json({ success: true, invites: accountService.listInvites(req.user.householdId) });
+});
+
+// Body: { maxUses?: 1, expiresInHours?: INVITE_TTL_HOURS }
+router.post('/invites', requireOwner, (req, res) => {
+  try {
+    const invite = accountService.createInvite(req.user, req.body);
+    res.status(201).json({ success: true, invite });
+  } catch (error) {
+    sendError(res, error, 'Error creating invite');
+  }
+});
+
+router.delete('/invites/:code', requireOwner, (req, res) => {
+  if (!accountService.revokeInvite(req.user.householdId, req.params.code)) {
+    return res.status(404).json({ success: false, message: 'Invite not found' });
+  }
+  res.json({ success: true });
+});
+
+module.exports = router;
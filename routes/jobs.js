@@ -0,0 +1,66 @@
+const express = require('express');
+const { jobService } = require('../services/jobService');
+const { scopeOf } = require('../middleware/userAuth');
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 15 * 1000;
+
+function publicJob(job) {
+  const { id, type, status, createdAt, startedAt, finishedAt, result, error } = job;
+  return { id, type, status, createdAt, startedAt, finishedAt, result, error };
+}
+
+function findJob(req, res, next) {
+  // Another owner's job is a 404, as if it didn't exist.
+  req.job = jobService.getJob(req.params.id, scopeOf(req).clientId);
+  if (!req.job) return res.status(404).json({ success: false, message: 'Job not found or expired' });
+  next();
+}
+
+// ==============================
+// ⏳ Detection jobs
+// ==============================
+// GET /api/jobs/:id → { success, job: { id, status, result, error, ... } }
+router.get('/:id', findJob, (req, res) => {
+  res.json({ success: true, job: publicJob(req.job) });
+});
+
+// GET /api/jobs/:id/events → Server-Sent Events
+// Sends the current state as a "status" event, then "status" on every
+// change and a final "completed" or "failed" event before closing.
+router.get('/:id/events', findJob, (req, res) => {
+  const { job } = req;
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+  const close = () => {
+    clearInterval(heartbeat);
+    jobService.off('job', onJob);
+    res.end();
+  };
+  const onJob = (changed) => {
+    if (changed.id !== job.id) return;
+    if (jobService.isFinished(changed)) {
+      send(changed.status, publicJob(changed));
+      close();
+    } else {
+      send('status', publicJob(changed));
+    }
+  };
+
+  req.on('close', close);
+  if (jobService.isFinished(job)) {
+    send(job.status, publicJob(job));
+    return close();
+  }
+  send('status', publicJob(job));
+  jobService.on('job', onJob);
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const { pantryService } = require('../services/pantryService');
+const { sendError } = require('../services/errors');
+const { scopeOf } = require('../middleware/userAuth');
+
+const router = express.Router();
+
+// ==============================
+// 🥫 Pantry items
+// ==============================
+// Shared by the members of the caller's household.
+// GET /api/pantry/items?status=active|consumed|discarded|all
+// Sorted by soonest expiry first.
+router.get('/items', (req, res) => {
+  try {
+    const items = pantryService.listItems({ status: req.query.status || 'active', clientId: scopeOf(req).clientId });
+    res.json({ success: true, items });
+  } catch (error) {
+    sendError(res, error, 'Error fetching pantry items');
+  }
+});
+
+router.get('/items/:id', (req, res) => {
+  const item = pantryService.getItem(req.params.id, scopeOf(req).clientId);
+  if (!item) return res.status(404).json({ success: false, message: 'Pantry item not found' });
+  res.json({ success: true, item });
+});
+
+// Body: { detectionId } to add an item from /api/detect, or
+// { label, quantity?, detectedAt?, shelfLifeDays?, notes? } to add by hand.
+router.post('/items', (req, res) => {
+  try {
+    const item = pantryService.addItem(req.body, { clientId: scopeOf(req).clientId });
+    res.status(201).json({ success: true, item });
+  } catch (error) {
+    sendError(res, error, 'Error adding pantry item');
+  }
+});
+
+// Body: { status?, quantity?, notes? }
+router.patch('/items/:id', (req, res) => {
+  try {
+    const item = pantryService.updateItem(req.params.id, req.body, scopeOf(req).clientId);
+    if (!item) return res.status(404).json({ success: false, message: 'Pantry item not found' });
+    res.json({ success: true, item });
+  } catch (error) {
+    sendError(res, error, 'Error updating pantry item');
+  }
+});
+
+for (const [action, status] of [['consume', 'consumed'], ['discard', 'discarded']]) {
+  router.post(`/items/:id/${action}`, (req, res) => {
+    try {
+      const item = pantryService.updateItem(req.params.id, { status }, scopeOf(req).clientId);
+      if (!item) return res.status(404).json({ success: false, message: 'Pantry item not found' });
+      res.json({ success: true, item });
+    } catch (error) {
+      sendError(res, error, 'Error updating pantry item');
+    }
+  });
+}
+
+router.delete('/items/:id', (req, res) => {
+  try {
+    if (!pantryService.removeItem(req.params.id, scopeOf(req).clientId)) {
+      return res.status(404).json({ success: false, message: 'Pantry item not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Error deleting pantry item');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const { recipeService } = require('../services/recipeService');
+const { localeService } = require('../services/localeService');
+const { sendError } = require('../services/errors');
+const { scopeOf } = require('../middleware/userAuth');
+
+const router = express.Router();
+
+// ==============================
+// 🍳 Recipe suggestions
+// ==============================
+// GET /api/suggestions?items=Fresh_Chicken,peppers&diet=no_pork&limit=5
+// POST /api/suggestions { items?, resultId?, latest?, pantry?, diet?, limit? }
+// Recipes ranked by how urgently they use up what the user has.
+function suggest(req, res) {
+  try {
+    const locale = localeService.resolveLocale(req);
+    const result = recipeService.suggest({ ...req.query, ...req.body }, scopeOf(req));
+    const items = result.items.map((item) => ({ ...item, display_name: localeService.displayName(item.item, locale) }));
+    res.json({ success: true, ...result, items, locale });
+  } catch (error) {
+    sendError(res, error, 'Error suggesting recipes');
+  }
+}
+
+router.get('/', suggest);
+router.post('/', suggest);
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require('express');
+const { webhookService } = require('../services/webhookService');
+const { sendError } = require('../services/errors');
+const { scopeOf } = require('../middleware/userAuth');
+
+const router = express.Router();
+
+// ==============================
+// 🔔 Webhook registration
+// ==============================
+// Body: { url, events?, secret? }. The secret is only returned in full
+// here; use it to verify X-FreshTrack-Signature on incoming payloads.
+// Webhooks only receive events for the pantry of the household (or API
+// key) that registered them, and only it sees them and their deliveries.
+router.post('/', async (req, res) => {
+  try {
+    const webhook = await webhookService.registerWebhook(req.body, { clientId: scopeOf(req).clientId });
+    res.status(201).json({ success: true, webhook });
+  } catch (error) {
+    sendError(res, error, 'Error registering webhook');
+  }
+});
+
+router.get('/', (req, res) => {
+  res.json({ success: true, webhooks: webhookService.listWebhooks(scopeOf(req).clientId) });
+});
+
+router.delete('/:id', (req, res) => {
+  if (!webhookService.removeWebhook(req.params.id, scopeOf(req).clientId)) {
+    return res.status(404).json({ success: false, message: 'Webhook not found' });
+  }
+  res.json({ success: true });
+});
+
+// ==============================
+// 📬 Delivery log
+// ==============================
+// GET /api/webhooks/deliveries?status=pending|delivered|failed&webhookId=...
+router.get('/deliveries', (req, res) => {
+  const { status, webhookId } = req.query;
+  res.json({ success: true, deliveries: webhookService.listDeliveries({ status, webhookId, clientId: scopeOf(req).clientId }) });
+});
+
+// Replay every failed delivery (optionally for one webhook).
+router.post('/deliveries/replay', async (req, res) => {
+  try {
+    const deliveries = await webhookService.replayFailed({
+      webhookId: req.body && req.body.webhookId,
+      clientId: scopeOf(req).clientId,
+    });
+    res.json({ success: true, deliveries });
+  } catch (error) {
+    sendError(res, error, 'Error replaying deliveries');
+  }
+});
+
+router.post('/deliveries/:id/replay', async (req, res) => {
+  try {
+    const delivery = await webhookService.replay(req.params.id, scopeOf(req).clientId);
+    if (!delivery) return res.status(404).json({ success: false, message: 'Delivery not found' });
+    res.json({ success: true, delivery });
+  } catch (error) {
+    sendError(res, error, 'Error replaying delivery');
+  }
+});
+
+module.exports = router;
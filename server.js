@@ -2,29 +2,83 @@ const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
 const helmet = require('helmet');
-const morgan = require('morgan');
 const path = require('path');
 const fs = require('fs');
+const bytes = require('bytes');
 require('dotenv').config();
 
-const { processImage } = require('./services/imageProcessor');
-const { getStorageData } = require('./services/storageService');
+// Before anything else logs, so LOG_FORMAT=json covers startup too.
+const { setupLogging } = require('./services/logger');
+setupLogging();
+
+const { storageService } = require('./services/storageService');
+const { localeService } = require('./services/localeService');
+const { HttpError, sendError } = require('./services/errors');
+const { sanitizeImage, decodeBase64Image, MAX_FILE_SIZE } = require('./services/imageSanitizer');
+const { parseDetectionOptions } = require('./services/detectionOptions');
+const { summarizeFreshness } = require('./services/freshnessSummary');
+const { estimateShelfLife, assessDetections } = require('./services/shelfLife');
+const { requireApiKey, rateLimit, detectionQuota, limiter } = require('./middleware/apiAuth');
+const { authenticateUser, requireScope, scopeOf } = require('./middleware/userAuth');
+const { accountService } = require('./services/accountService');
+const { recordDetections, recordResult, getResult } = require('./services/detectionStore');
+const { renderAnnotated, renderAnnotatedDataUri } = require('./services/annotator');
+const { historyService } = require('./services/historyService');
+const { modelRegistry } = require('./services/modelRegistry');
+const { metrics } = require('./services/metrics');
+const { requestId, accessLog } = require('./middleware/observability');
+const { scheduler } = require('./services/scheduler');
+const { webhookService } = require('./services/webhookService');
+const { scanExpiringItems } = require('./services/expiryNotifier');
+const { detectionPool } = require('./services/workerPool');
+const { jobService } = require('./services/jobService');
+const { inferenceCache } = require('./services/inferenceCache');
+const { trackObjects, summarizeInventory } = require('./services/frameTracker');
+const { extractFrames, parseFps, SCAN_MAX_FRAMES, SCAN_MAX_SIZE } = require('./services/frameSampler');
+const pantryRoutes = require('./routes/pantry');
+const webhookRoutes = require('./routes/webhooks');
+const adminRoutes = require('./routes/admin');
+const jobRoutes = require('./routes/jobs');
+const historyRoutes = require('./routes/history');
+const suggestionRoutes = require('./routes/suggestions');
+const authRoutes = require('./routes/auth');
+const householdRoutes = require('./routes/households');
 
 const app = express();
 
 // 🧩 Load environment variables with fallbacks
 const PORT = process.env.PORT || 3000;
 const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
-const LOG_FORMAT = process.env.LOG_FORMAT || 'dev';
 const CORS_ORIGIN = process.env.CORS_ORIGIN || '*';
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 10 * 1000;
+const BATCH_MAX_IMAGES = parseInt(process.env.BATCH_MAX_IMAGES, 10) || 8;
+const BATCH_MAX_TOTAL_SIZE = bytes.parse(process.env.BATCH_MAX_TOTAL_SIZE || '50mb');
+const EXPIRY_SCAN_INTERVAL_MS = parseInt(process.env.EXPIRY_SCAN_INTERVAL_MS, 10) || 60 * 60 * 1000;
+const WEBHOOK_RETRY_INTERVAL_MS = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_MS, 10) || 15 * 1000;
+// "true", a hop count, or addresses/subnets as accepted by Express
+const TRUST_PROXY = (() => {
+  const value = process.env.TRUST_PROXY;
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+})();
 
 // ==============================
 // 🌐 Middleware
 // ==============================
+app.set('trust proxy', TRUST_PROXY);
+app.use(requestId);
+app.use(accessLog);
 app.use(helmet());
 app.use(cors({ origin: CORS_ORIGIN }));
-app.use(express.json({ limit: process.env.MAX_UPLOAD_SIZE || '10mb' }));
-app.use(morgan(LOG_FORMAT));
+// Big enough for a base64-encoded image of MAX_FILE_SIZE
+app.use(express.json({ limit: process.env.MAX_UPLOAD_SIZE || Math.ceil(MAX_FILE_SIZE * 1.34) + 64 * 1024 }));
+
+// Admin routes have their own ADMIN_TOKEN check, so they are mounted
+// ahead of the API key + rate limit gate on the rest of /api, which also
+// picks up the signed-in user, if any.
+app.use('/api/admin', adminRoutes);
+app.use('/api', requireApiKey, rateLimit, authenticateUser);
 
 // ==============================
 // 📁 Uploads folder setup
@@ -34,22 +88,305 @@ if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
 // ==============================
 // 📸 Multer setup
 // ==============================
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, UPLOAD_DIR),
-  filename: (req, file, cb) => {
-    const uniqueName = `${Date.now()}-${Math.round(Math.random() * 1e9)}.jpg`;
-    cb(null, uniqueName);
-  },
-});
-const upload = multer({ storage });
+// Uploads are held in memory until they have been validated and
+// re-encoded; only the sanitized image is written to UPLOAD_DIR.
+const storage = multer.memoryStorage();
+const upload = multer({ storage, limits: { fileSize: MAX_FILE_SIZE, files: 1 } });
+const batchUpload = multer({ storage, limits: { fileSize: MAX_FILE_SIZE, files: BATCH_MAX_IMAGES } });
+const scanUpload = multer({ storage: scanStorage(), limits: { fileSize: SCAN_MAX_SIZE, files: SCAN_MAX_FRAMES } });
+const quota = detectionQuota((req) => removeUploads(req.files || [req.file]));
+
+// Memory storage for scans that enforces the limits while the upload
+// streams, so a request never holds more than SCAN_MAX_SIZE: each frame
+// is at most MAX_FILE_SIZE, and the video or all frames together at most
+// SCAN_MAX_SIZE.
+function scanStorage() {
+  return {
+    _handleFile(req, file, cb) {
+      const limit = file.fieldname === 'video' ? SCAN_MAX_SIZE : MAX_FILE_SIZE;
+      const chunks = [];
+      let size = 0;
+      let failed = false;
+      const fail = (err) => {
+        failed = true;
+        chunks.length = 0;
+        cb(err);
+      };
+      file.stream.on('data', (chunk) => {
+        if (failed) return;
+        size += chunk.length;
+        req.scanSize = (req.scanSize || 0) + chunk.length;
+        if (size > limit) return fail(new multer.MulterError('LIMIT_FILE_SIZE', file.fieldname));
+        if (req.scanSize > SCAN_MAX_SIZE) {
+          return fail(new HttpError(413, `Scan too large. Frames must not exceed ${bytes.format(SCAN_MAX_SIZE)} in total.`));
+        }
+        chunks.push(chunk);
+      });
+      file.stream.on('error', (err) => !failed && fail(err));
+      file.stream.on('end', () => !failed && cb(null, { buffer: Buffer.concat(chunks), size }));
+    },
+    _removeFile(req, file, cb) {
+      delete file.buffer;
+      cb(null);
+    },
+  };
+}
+
+// Multer limit errors → 413/400 JSON instead of the default error page.
+function uploadError(err, maxFiles) {
+  if (!(err instanceof multer.MulterError)) return null;
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return { status: 413, message: `Image is too large. Uploads may be at most ${bytes.format(MAX_FILE_SIZE)}.` };
+  }
+  if (err.code === 'LIMIT_FILE_COUNT') {
+    return { status: 413, message: `Too many images. At most ${maxFiles} can be uploaded per request.` };
+  }
+  return { status: 400, message: `${err.message}${err.field ? ` (field "${err.field}")` : ''}` };
+}
+
+function receiveImage(req, res, next) {
+  upload.single('image')(req, res, (err) => {
+    const rejection = uploadError(err, 1);
+    if (rejection) return res.status(rejection.status).json({ success: false, message: rejection.message });
+    next(err);
+  });
+}
+
+// Check magic bytes and dimensions, strip metadata, then store the
+// re-encoded image under a name with the right extension. `file.buffer`
+// becomes the sanitized image, kept for annotated renders. 413/415 when
+// any image is rejected.
+async function sanitizeUploads(req, res, next) {
+  const files = req.files || (req.file ? [req.file] : []);
+  const written = [];
+  try {
+    for (const file of files) {
+      let clean;
+      try {
+        clean = await sanitizeImage(file.buffer);
+      } catch (err) {
+        if (files.length > 1 && err.status) err.message = `${file.originalname}: ${err.message}`;
+        throw err;
+      }
+      file.filename = `${Date.now()}-${Math.round(Math.random() * 1e9)}.${clean.extension}`;
+      file.path = path.join(UPLOAD_DIR, file.filename);
+      file.mimetype = clean.mimetype;
+      file.size = clean.buffer.length;
+      file.buffer = clean.buffer;
+      await fs.promises.writeFile(file.path, clean.buffer);
+      written.push(file);
+    }
+    next();
+  } catch (error) {
+    removeUploads(written);
+    sendError(res, error, 'Error processing upload');
+  }
+}
+
+// /api/detect also takes JSON { image: "data:image/jpeg;base64,…" } or a
+// raw image/* body. These are validated and re-encoded in memory and go to
+// the detector as a buffer, without touching UPLOAD_DIR.
+const rawImage = express.raw({ type: 'image/*', limit: MAX_FILE_SIZE });
+
+async function receiveInlineImage(req, res, next) {
+  try {
+    let buffer = null;
+    if (Buffer.isBuffer(req.body)) {
+      buffer = req.body;
+      req.body = {};
+    } else if (req.is('application/json') && req.body && req.body.image !== undefined) {
+      buffer = decodeBase64Image(req.body.image);
+    }
+    if (buffer) req.imageBuffer = (await sanitizeImage(buffer)).buffer;
+    next();
+  } catch (error) {
+    sendError(res, error, 'Error processing upload');
+  }
+}
+
+// Options from the JSON body, form fields or query string → req.detectionOptions
+function readOptions(req, res, next) {
+  try {
+    req.detectionOptions = parseDetectionOptions({ ...req.query, ...req.body });
+    next();
+  } catch (error) {
+    removeUploads(req.files || [req.file]);
+    sendError(res, error, 'Invalid detection options');
+  }
+}
+
+// Attach (localized) storage info and an ID to each detection.
+function attachStorage(detections, locale, resultId, clientId) {
+  for (const detection of detections) {
+    detection.display_name = localeService.displayName(detection.label, locale);
+    detection.storage = storageService.getLocalizedStorageData(detection.label, locale);
+  }
+  return recordDetections(detections, { resultId, clientId });
+}
+
+// Who a detection was for, stored with its history entry: the signed-in
+// user and their household, or the API key client and its optional
+// app-level X-User-Id (see scopeOf).
+function requestOrigin(req, source) {
+  const { clientId, userId } = scopeOf(req);
+  return { clientId, userId, source };
+}
+
+// The registry model for this request; the A/B split is sticky per client
+// (user, else API key, else IP). Undefined lets the worker fall back to MODEL_PATH.
+function selectModel(req, origin) {
+  const key = origin.userId || (req.apiKey ? req.apiKey.id : req.ip);
+  const selection = modelRegistry.select(`${origin.clientId}:${key}`);
+  return selection ? selection.model : undefined;
+}
+
+// One image's results: { detections } with storage info, or { summary } in
+// freshness-only mode, either with freshness and remaining-days estimates,
+// plus where to fetch the annotated image (and the image itself with
+// `annotate`). Each image is also added to the history.
+async function presentDetections(detections, options, locale, image, origin) {
+  const resultId = recordResult(image, detections, { clientId: origin.clientId });
+  let historyId = null;
+  try {
+    historyId = historyService.record({ ...origin, resultId, detections, image, storeImage: options.storeImage }).id;
+  } catch (error) {
+    console.warn('⚠️ Could not record detection history:', error.message);
+  }
+  const presented = {};
+  if (options.summary === 'freshness') {
+    presented.summary = summarizeFreshness(detections, options).map((entry) => ({
+      ...entry,
+      ...estimateShelfLife(entry.item, entry.freshness, entry.confidence),
+      display_name: localeService.displayName(entry.item, locale),
+    }));
+  } else {
+    presented.detections = attachStorage(assessDetections(detections, options), locale, resultId, origin.clientId);
+  }
+  presented.resultId = resultId;
+  presented.historyId = historyId;
+  presented.annotatedUrl = `/api/detect/${resultId}/annotated`;
+  if (options.annotate) {
+    try {
+      presented.annotatedImage = await renderAnnotatedDataUri(image, detections, { format: options.annotate });
+    } catch (error) {
+      // The detections are still good; the client can retry annotatedUrl.
+      console.warn('⚠️ Could not render annotated image:', error.message);
+      presented.annotatedImage = null;
+    }
+  }
+  return presented;
+}
+
+// Echoed back so clients can see which defaults applied.
+function publicOptions({ confThreshold, iouThreshold, maxDetections, classes, summary, annotate, storeImage }) {
+  return { confidence: confThreshold, iou: iouThreshold, maxDetections, classes, summary, annotate, storeImage };
+}
+
+// Job mode: `?async=true` or `Prefer: respond-async`.
+function wantsAsync(req) {
+  return ['1', 'true'].includes(String(req.query.async)) || /\brespond-async\b/.test(req.get('Prefer') || '');
+}
+
+// `?nocache=1` or `Cache-Control: no-cache` skips the inference cache
+// lookup; the fresh result still replaces the cached one.
+function skipsCache(req) {
+  return ['1', 'true'].includes(String(req.query.nocache)) || /\bno-cache\b/.test(req.get('Cache-Control') || '');
+}
+
+// 202 with where to find the job's result.
+function acceptJob(res, job) {
+  const statusUrl = `/api/jobs/${job.id}`;
+  res.status(202).location(statusUrl).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl,
+    eventsUrl: `${statusUrl}/events`,
+  });
+}
+
+function removeUploads(files) {
+  for (const file of files.filter((f) => f && f.path)) {
+    fs.unlink(file.path, (err) => {
+      if (err && err.code !== 'ENOENT') console.warn('⚠️ Could not delete uploaded file:', err.message);
+    });
+  }
+}
 
 // ==============================
 // 💓 Health & Root routes
 // ==============================
+// Liveness: the process is up. See /ready for whether it can serve detections.
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
+// ==============================
+// 🚦 Readiness probe
+// ==============================
+// 503 until the active model (and any A/B candidate) loads and passes its
+// check, and the storage data has been read. DETECTOR=mock skips the model.
+async function modelReadiness() {
+  if ((process.env.DETECTOR || 'auto').toLowerCase() === 'mock') return { ok: true, detector: 'mock' };
+  const { active, split } = modelRegistry.state;
+  if (!active) return { ok: false, error: 'No model available. Add one to MODELS_DIR or MODEL_PATH.' };
+  const versions = split ? [active, split.version] : [active];
+  try {
+    for (const version of versions) await modelRegistry.ensureLoaded(version);
+    return { ok: true, detector: 'onnx', active, candidate: split ? split.version : null };
+  } catch (error) {
+    return { ok: false, active, error: error.message };
+  }
+}
+
+app.get('/ready', async (req, res) => {
+  const checks = { model: await modelReadiness(), storage: storageService.status() };
+  const ready = Object.values(checks).every((check) => check.ok);
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    checks,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// ==============================
+// 📈 Prometheus metrics
+// ==============================
+metrics.gauge({
+  name: 'detection_queue_depth',
+  help: 'Detection tasks waiting for a worker.',
+  collect: () => detectionPool.stats().queued,
+});
+metrics.gauge({
+  name: 'detection_workers_busy',
+  help: 'Detection workers currently running a task.',
+  collect: () => detectionPool.stats().busy,
+});
+metrics.gauge({
+  name: 'inference_cache_entries',
+  help: 'Detection results held in the in-memory inference cache.',
+  collect: () => inferenceCache.entries.size,
+});
+metrics.gauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory of the server process.',
+  collect: () => process.memoryUsage().rss,
+});
+metrics.gauge({
+  name: 'process_uptime_seconds',
+  help: 'Seconds since the server process started.',
+  collect: () => Math.round(process.uptime()),
+});
+
+// Outside /api so scrapers don't need an API key; set METRICS_TOKEN to
+// require `Authorization: Bearer <token>`.
+app.get('/metrics', (req, res) => {
+  if (process.env.METRICS_TOKEN && req.get('Authorization') !== `Bearer ${process.env.METRICS_TOKEN}`) {
+    return res.status(401).json({ success: false, message: 'Metrics token required' });
+  }
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
 app.get('/', (req, res) => {
   res.send('🚀 FreshTrack Backend is running!');
 });
@@ -57,59 +394,337 @@ app.get('/', (req, res) => {
 // ==============================
 // 🧠 Detection route
 // ==============================
-app.post('/api/detect', upload.single('image'), async (req, res) => {
+// Multipart, JSON or raw image → validated upload, options, quota check
+const receiveDetection = [requireScope, receiveImage, rawImage, receiveInlineImage, sanitizeUploads, readOptions, quota];
+
+app.post('/api/detect', receiveDetection, async (req, res) => {
   try {
-    if (!req.file) {
+    if (!req.file && !req.imageBuffer) {
       console.error('⚠️ No image uploaded.');
-      return res.status(400).json({ success: false, message: 'No image uploaded.' });
+      return res.status(400).json({
+        success: false,
+        message: 'No image uploaded. Send an "image" form field, JSON { "image": "<base64>" } or an image/* body.',
+      });
     }
 
-    const imagePath = path.join(UPLOAD_DIR, req.file.filename);
-    console.log(`🖼️ Preprocessing image: ${imagePath}`);
+    // Inference runs on the worker pool; the worker deletes the upload.
+    const locale = localeService.resolveLocale(req);
+    const options = req.detectionOptions;
+    const image = req.imageBuffer || req.file.buffer;
+    const origin = requestOrigin(req, 'detect');
+    const model = selectModel(req, origin);
+    let payload;
+    if (req.imageBuffer) {
+      console.log(`🖼️ Preprocessing inline image (${bytes.format(req.imageBuffer.length)})`);
+      payload = { buffers: [req.imageBuffer], options, model };
+    } else {
+      const imagePath = path.join(UPLOAD_DIR, req.file.filename);
+      console.log(`🖼️ Preprocessing image: ${imagePath}`);
+      payload = { filePaths: [imagePath], options, model };
+    }
+    const finalize = async ({ detections, cached, detector, modelVersion }) => ({
+      success: true,
+      ...(await presentDetections(detections, options, locale, image, { ...origin, detector, modelVersion })),
+      cached,
+      detector,
+      modelVersion,
+      options: publicOptions(options),
+      locale,
+      timestamp: new Date().toISOString(),
+    });
 
-    // Run model detection
-    const detections = await processImage(imagePath);
+    const run = (runOptions) => inferenceCache.detect(detectionPool, payload, [image], { bypass: skipsCache(req), ...runOptions });
 
-    // Attach storage info
-    for (const detection of detections) {
-      detection.storage = getStorageData(detection.label);
+    if (wantsAsync(req)) return acceptJob(res, jobService.submit({ type: 'detect', payload, finalize, run, clientId: origin.clientId }));
+    res.status(200).json(await finalize(await run()));
+  } catch (error) {
+    if (req.file) removeUploads([req.file]);
+    sendError(res, error, 'Error processing image');
+  }
+});
+
+// ==============================
+// 🖍️ Annotated result image
+// ==============================
+// GET /api/detect/:id/annotated?format=png → the detected image with its
+// boxes drawn in. `:id` is a resultId or the ID of any of its detections,
+// from the caller's own household or API key.
+app.get('/api/detect/:id/annotated', requireScope, async (req, res) => {
+  try {
+    const result = getResult(req.params.id, scopeOf(req).clientId);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Result not found. Annotated images are only kept for recent detections.',
+      });
     }
+    const { buffer, mimetype } = await renderAnnotated(result.image, result.detections, {
+      format: req.query.format || 'jpeg',
+    });
+    // Allow <img> embedding from other origins (helmet defaults to same-origin).
+    res.set({ 'Cache-Control': 'private, max-age=3600', 'Cross-Origin-Resource-Policy': 'cross-origin' });
+    res.type(mimetype).send(buffer);
+  } catch (error) {
+    sendError(res, error, 'Error rendering annotated image');
+  }
+});
 
-    res.status(200).json({
+// ==============================
+// 📚 Batch detection route
+// ==============================
+function receiveBatch(req, res, next) {
+  batchUpload.array('images')(req, res, (err) => {
+    const rejection = uploadError(err, BATCH_MAX_IMAGES);
+    if (rejection) return res.status(rejection.status).json({ success: false, message: rejection.message });
+    if (err) return next(err);
+
+    const files = req.files || [];
+    const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+    if (totalSize > BATCH_MAX_TOTAL_SIZE) {
+      return res.status(413).json({
+        success: false,
+        message: `Batch too large. Total upload size must not exceed ${bytes.format(BATCH_MAX_TOTAL_SIZE)}.`,
+      });
+    }
+    next();
+  });
+}
+
+app.post('/api/detect/batch', requireScope, receiveBatch, sanitizeUploads, readOptions, quota, async (req, res) => {
+  const files = req.files || [];
+  try {
+    if (!files.length) {
+      return res.status(400).json({ success: false, message: 'No images uploaded.' });
+    }
+
+    console.log(`🖼️ Processing batch of ${files.length} images`);
+    const locale = localeService.resolveLocale(req);
+    const options = req.detectionOptions;
+    const origin = requestOrigin(req, 'batch');
+    const payload = { filePaths: files.map((file) => file.path), batch: true, options, model: selectModel(req, origin) };
+    const finalize = async ({ results, detector, modelVersion }) => ({
       success: true,
-      detections,
+      images: await Promise.all(
+        results.map(async (result, index) => {
+          const { originalname, buffer } = files[index];
+          if (result.error) {
+            return { index, filename: originalname, success: false, error: result.error };
+          }
+          const presented = await presentDetections(result.detections, options, locale, buffer, {
+            ...origin,
+            detector,
+            modelVersion,
+          });
+          return { index, filename: originalname, success: true, cached: result.cached, ...presented };
+        })
+      ),
+      detector,
+      modelVersion,
+      options: publicOptions(options),
+      locale,
       timestamp: new Date().toISOString(),
     });
 
-    // 🧹 Safe cleanup
-    if (fs.existsSync(imagePath)) {
-      fs.unlink(imagePath, (err) => {
-        if (err) console.warn('⚠️ Could not delete uploaded file:', err.message);
-        else console.log(`🧼 Deleted uploaded file: ${imagePath}`);
+    const images = files.map((file) => file.buffer);
+    const run = (runOptions) => inferenceCache.detect(detectionPool, payload, images, { bypass: skipsCache(req), ...runOptions });
+
+    if (wantsAsync(req)) return acceptJob(res, jobService.submit({ type: 'batch', payload, finalize, run, clientId: origin.clientId }));
+    res.status(200).json(await finalize(await run()));
+  } catch (error) {
+    removeUploads(files);
+    sendError(res, error, 'Error processing images');
+  }
+});
+
+// ==============================
+// 🎞️ Scene scan route
+// ==============================
+// Either `frames` (images in capture order) or one `video`; req.files
+// becomes the frames and req.video the video.
+function receiveScan(req, res, next) {
+  scanUpload.fields([{ name: 'frames', maxCount: SCAN_MAX_FRAMES }, { name: 'video', maxCount: 1 }])(req, res, (err) => {
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE' && err.field === 'video') {
+      return res.status(413).json({ success: false, message: `Upload is too large. Videos may be at most ${bytes.format(SCAN_MAX_SIZE)}.` });
+    }
+    if (err instanceof HttpError) return sendError(res, err);
+    const rejection = uploadError(err, SCAN_MAX_FRAMES);
+    if (rejection) return res.status(rejection.status).json({ success: false, message: rejection.message });
+    if (err) return next(err);
+
+    const { frames = [], video = [] } = req.files || {};
+    req.files = frames;
+    req.video = video[0] || null;
+    if (frames.length && req.video) {
+      return res.status(400).json({ success: false, message: 'Send either frames or a video, not both.' });
+    }
+    next();
+  });
+}
+
+// Video → sampled frames, sanitized and stored like uploaded ones, so the
+// quota counts frames and the rest of the route doesn't care which it got.
+async function sampleVideo(req, res, next) {
+  if (!req.video) return next();
+  const written = [];
+  try {
+    req.fps = parseFps(req.body.fps !== undefined ? req.body.fps : req.query.fps);
+    const frames = await extractFrames(req.video.buffer, { fps: req.fps });
+    for (const [index, frame] of frames.entries()) {
+      const clean = await sanitizeImage(frame);
+      const filename = `${Date.now()}-${Math.round(Math.random() * 1e9)}.${clean.extension}`;
+      const file = { originalname: `frame-${index + 1}.${clean.extension}`, filename, path: path.join(UPLOAD_DIR, filename) };
+      await fs.promises.writeFile(file.path, clean.buffer);
+      written.push(Object.assign(file, { buffer: clean.buffer, mimetype: clean.mimetype, size: clean.buffer.length }));
+    }
+    req.files = written;
+    next();
+  } catch (error) {
+    removeUploads(written);
+    sendError(res, error, 'Error reading video');
+  }
+}
+
+// POST /api/detect/scan → a deduplicated inventory of the scene. Every frame
+// goes through detection (bypassing the inference cache, which would match
+// neighbouring frames to each other), then objects are tracked across
+// frames so each physical item is reported once.
+app.post('/api/detect/scan', requireScope, receiveScan, sanitizeUploads, readOptions, sampleVideo, quota, async (req, res) => {
+  const files = req.files || [];
+  try {
+    if (!files.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to scan. Send "frames" image fields in capture order or a "video".',
       });
-    } else {
-      console.log(`ℹ️ Uploaded file already deleted or missing: ${imagePath}`);
     }
+
+    const source = req.video ? 'video' : 'frames';
+    console.log(`🎞️ Scanning ${files.length} frames from ${source}`);
+    const locale = localeService.resolveLocale(req);
+    const options = req.detectionOptions;
+    const origin = requestOrigin(req, 'scan');
+    const payload = { filePaths: files.map((file) => file.path), batch: true, options, model: selectModel(req, origin) };
+    const finalize = async ({ results, detector, modelVersion }) => {
+      const tracked = trackObjects(results, { nmsThreshold: options.iouThreshold }).map((object) => ({
+        ...object,
+        ...(object.freshness === null ? {} : estimateShelfLife(object.item, object.freshness, object.confidence)),
+        display_name: localeService.displayName(object.label, locale),
+        storage: storageService.getLocalizedStorageData(object.label, locale),
+      }));
+      const objects = recordDetections(tracked, { clientId: origin.clientId });
+      let historyId = null;
+      try {
+        historyId = historyService.record({
+          ...origin,
+          detector,
+          modelVersion,
+          detections: objects,
+          image: files[0].buffer,
+          storeImage: options.storeImage,
+        }).id;
+      } catch (error) {
+        console.warn('⚠️ Could not record detection history:', error.message);
+      }
+
+      const failed = results
+        .map((result, index) => ({ index, filename: files[index].originalname, error: result.error }))
+        .filter((frame) => frame.error);
+      return {
+        success: true,
+        source,
+        frames: { total: files.length, processed: files.length - failed.length, failed, fps: req.fps || null },
+        inventory: summarizeInventory(objects).map((entry) => ({
+          ...entry,
+          display_name: localeService.displayName(entry.item, locale),
+        })),
+        objects,
+        historyId,
+        detector,
+        modelVersion,
+        options: publicOptions(options),
+        locale,
+        timestamp: new Date().toISOString(),
+      };
+    };
+
+    const run = (runOptions) => detectionPool.run(payload, runOptions);
+
+    if (wantsAsync(req)) return acceptJob(res, jobService.submit({ type: 'scan', payload, finalize, run, clientId: origin.clientId }));
+    res.status(200).json(await finalize(await run()));
   } catch (error) {
-    console.error('❌ Detection error:', error);
-    res.status(500).json({ success: false, message: 'Error processing image', error: error.message });
+    removeUploads(files);
+    sendError(res, error, 'Error scanning frames');
   }
 });
 
 // ==============================
 // 🗂️ Storage routes
 // ==============================
+// GET /api/storage/search?q=aple&limit=5 → ranked candidates
+app.get('/api/storage/search', (req, res) => {
+  const { q } = req.query;
+  if (!q || typeof q !== 'string') {
+    return res.status(400).json({ success: false, message: 'Query parameter "q" is required' });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 5, 50);
+  const locale = localeService.resolveLocale(req);
+  const results = storageService.searchItems(q, { limit }).map((result) => ({
+    ...result,
+    display_name: localeService.displayName(result.item, locale),
+  }));
+  res.json({ success: true, query: q, results, locale });
+});
+
+// GET /api/storage/:itemName?location=pantry|fridge|freezer&state=whole|cut|cooked&unit=C|F&lang=en|id|es
+// Accepts exact labels ("Fresh_Apple"), aliases, plurals and near-misses.
+// A bare item name ("apples") returns all its Fresh_/Rotten_ variants.
 app.get('/api/storage/:itemName', (req, res) => {
-  const { itemName } = req.params;
-  const data = getStorageData(itemName);
-  if (!data) return res.status(404).json({ success: false, message: 'Item not found' });
-  res.json({ success: true, storage: data });
+  try {
+    const { itemName } = req.params;
+    const locale = localeService.resolveLocale(req);
+    const { location, state, unit = 'C' } = req.query;
+    const options = { location, state, unit: String(unit).toUpperCase(), locale };
+
+    const key = storageService.resolveKey(itemName);
+    if (key) {
+      const data = storageService.getLocalizedStorageData(key, locale);
+      const guidance = storageService.getGuidance(key, options);
+      return res.json({ success: true, label: key, storage: data, guidance, locale });
+    }
+
+    const match = storageService.resolveItem(itemName);
+    if (!match) {
+      console.warn(`⚠️ No storage data found for "${itemName}"`);
+      const suggestions = storageService.searchItems(itemName, { limit: 3 }).map((result) => result.item);
+      return res.status(404).json({ success: false, message: 'Item not found', suggestions });
+    }
+
+    const variants = {};
+    for (const label of match.labels) {
+      variants[label] = storageService.getLocalizedStorageData(label, locale);
+    }
+    const primary = match.labels.find((label) => label.startsWith('Fresh_')) || match.labels[0];
+    res.json({
+      success: true,
+      item: match.item,
+      display_name: localeService.displayName(match.item, locale),
+      match: { query: itemName, matchedOn: match.matchedOn, score: match.score },
+      label: primary,
+      storage: variants[primary],
+      guidance: storageService.getGuidance(primary, options),
+      variants,
+      locale,
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching storage data');
+  }
 });
 
 app.get('/api/storage', (req, res) => {
   try {
-    const data = getStorageData();
-    res.json({ success: true, data });
+    const locale = localeService.resolveLocale(req);
+    const data = storageService.getAllLocalizedStorageData(locale);
+    res.json({ success: true, data, locale });
   } catch (error) {
     console.error('❌ Error fetching storage data:', error);
     res.status(500).json({ success: false, message: 'Error fetching storage data' });
@@ -117,27 +732,117 @@ app.get('/api/storage', (req, res) => {
 });
 
 // ==============================
-// 🕓 Daily upload cleanup
+// 👤 Account and household routes
 // ==============================
-setInterval(() => {
-  fs.readdir(UPLOAD_DIR, (err, files) => {
-    if (err) return console.error('Error reading uploads directory:', err);
-    const now = Date.now();
-    const DAY_MS = 24 * 60 * 60 * 1000;
-    files.forEach((file) => {
-      const filePath = path.join(UPLOAD_DIR, file);
-      fs.stat(filePath, (err, stats) => {
-        if (!err && now - stats.mtimeMs > DAY_MS) {
-          fs.unlink(filePath, () => console.log(`🧽 Deleted old upload: ${file}`));
-        }
-      });
-    });
-  });
-}, 24 * 60 * 60 * 1000);
+app.use('/api/auth', authRoutes);
+app.use('/api/household', householdRoutes);
 
 // ==============================
-// 🚀 Start server
+// ⏳ Job routes
+// ==============================
+// Jobs belong to whoever submitted them. EventSource can't set headers, so
+// the events stream takes `?access_token=` and `?api_key=` instead.
+app.use('/api/jobs', requireScope, jobRoutes);
+
+// ==============================
+// 🕘 History routes
+// ==============================
+app.use('/api/history', requireScope, historyRoutes);
+
+// ==============================
+// 🍳 Suggestion routes
+// ==============================
+app.use('/api/suggestions', requireScope, suggestionRoutes);
+
+// ==============================
+// 🥫 Pantry routes
+// ==============================
+app.use('/api/pantry', requireScope, pantryRoutes);
+
+// ==============================
+// 🔔 Webhook routes
 // ==============================
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
+app.use('/api/webhooks', requireScope, webhookRoutes);
+
+// ==============================
+// 🕓 Scheduled jobs
+// ==============================
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Daily upload cleanup
+scheduler.schedule('upload-cleanup', DAY_MS, async () => {
+  const files = await fs.promises.readdir(UPLOAD_DIR);
+  const now = Date.now();
+  for (const file of files) {
+    if (file.startsWith('.')) continue;
+    const filePath = path.join(UPLOAD_DIR, file);
+    const stats = await fs.promises.stat(filePath).catch(() => null);
+    if (stats && now - stats.mtimeMs > DAY_MS) {
+      await fs.promises.unlink(filePath).catch(() => {});
+      console.log(`🧽 Deleted old upload: ${file}`);
+    }
+  }
 });
+
+// Expiring / expired pantry items → webhooks
+scheduler.schedule('expiry-scan', EXPIRY_SCAN_INTERVAL_MS, scanExpiringItems, { runOnStart: true });
+scheduler.schedule('webhook-retries', WEBHOOK_RETRY_INTERVAL_MS, () => webhookService.retryDue());
+
+// Idle rate limit buckets
+scheduler.schedule('rate-limit-prune', 10 * 60 * 1000, () => limiter.prune());
+
+// History entries past HISTORY_RETENTION_DAYS
+scheduler.schedule('history-prune', DAY_MS, () => historyService.prune(), { runOnStart: true });
+
+// Finished detection jobs past their TTL
+scheduler.schedule('job-cleanup', 5 * 60 * 1000, () => jobService.prune());
+
+// Expired inference cache entries (memory and disk)
+scheduler.schedule('inference-cache-prune', 60 * 60 * 1000, () => inferenceCache.prune());
+
+// Household invites that are used up or expired
+scheduler.schedule('invite-prune', DAY_MS, () => accountService.prune());
+
+// ==============================
+// 🧯 Error handler
+// ==============================
+// Body parser failures (oversized or malformed JSON/raw bodies) as JSON.
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ success: false, message: `Request body is too large (limit ${bytes.format(err.limit)}).` });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ success: false, message: 'Request body is not valid JSON.' });
+  }
+  sendError(res, err, 'Internal server error');
+});
+
+// ==============================
+// 🚀 Start server
+// ==============================
+// Only when run directly (`node server.js`); tests require the app and
+// listen on their own port without starting the scheduled jobs.
+if (require.main === module) {
+  const server = app.listen(PORT, () => {
+    console.log(`🚀 Server running on port ${PORT}`);
+    scheduler.start();
+  });
+
+  // Finish in-flight requests, then exit normally so batched writes are
+  // flushed (see JsonStore#saveSoon). Long-lived connections such as job
+  // event streams get SHUTDOWN_TIMEOUT_MS before they are cut off.
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+      console.log(`👋 ${signal} received, shutting down`);
+      scheduler.stop();
+      server.close(() => process.exit(0));
+      server.closeIdleConnections();
+      setTimeout(() => {
+        console.warn('⚠️ Connections still open, exiting anyway');
+        process.exit(0);
+      }, SHUTDOWN_TIMEOUT_MS).unref();
+    });
+  }
+}
+
+module.exports = app;
@@ -0,0 +1,386 @@
+const crypto = require('crypto');
+const path = require('path');
+const { promisify } = require('util');
+require('dotenv').config();
+
+const { JsonStore } = require('./jsonStore');
+const { HttpError } = require('./errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_TTL_HOURS = parseFloat(process.env.SESSION_TTL_HOURS) || 7 * 24;
+const INVITE_TTL_HOURS = parseFloat(process.env.INVITE_TTL_HOURS) || 72;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 256;
+const MAX_INVITE_USES = 50;
+const ROLES = ['owner', 'member'];
+const HOUR_MS = 60 * 60 * 1000;
+// Invite codes avoid look-alike characters (0/O, 1/I/L) so they can be read out.
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEYLEN = 32;
+
+// ==============================
+// Session signing secret
+// ==============================
+// Without AUTH_SECRET a random one is used, so sessions end on restart.
+const AUTH_SECRET = process.env.AUTH_SECRET || (() => {
+  console.warn('⚠️ AUTH_SECRET is not set; sessions will not survive a restart');
+  return crypto.randomBytes(32).toString('hex');
+})();
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', AUTH_SECRET).update(payload).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// ==============================
+// Password hashing
+// ==============================
+// "scrypt$N$r$p$salt$hash", so the cost can be raised without breaking
+// existing hashes.
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(password, salt, SCRYPT_KEYLEN, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt') return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, { N: Number(N), r: Number(r), p: Number(p) });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Compared against when the email is unknown, so a login takes as long
+// whether or not the account exists.
+const dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+// "k7qf m2xd", "K7QF-M2XD" → "K7QFM2XD"
+function normalizeCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function formatCode(code) {
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+function generateCode() {
+  return Array.from(crypto.randomBytes(8), (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+}
+
+function validateCredentials({ email, password }) {
+  const errors = [];
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizeEmail(email))) errors.push('email must be a valid email address');
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    errors.push(`password must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`);
+  }
+  return errors;
+}
+
+function validateName(name, field) {
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+    throw new HttpError(400, `${field} must be a non-empty string of at most 100 characters`);
+  }
+  return name.trim();
+}
+
+// ==============================
+// AccountService Class
+// ==============================
+// Users, households and invites. Every user belongs to exactly one
+// household, as its `owner` or a `member`; pantry items, history and
+// webhooks are scoped to the household, so its members share them.
+// Passwords are stored as scrypt hashes. Sessions are signed tokens
+// carrying the user ID and a token version, which logging out bumps to
+// revoke every token issued so far. The household is looked up on each
+// request, so leaving or being removed takes effect immediately.
+class AccountService {
+  constructor(filePath) {
+    const defaultPath = path.join(__dirname, '../data/accounts.json');
+    this.store = new JsonStore(filePath || process.env.ACCOUNTS_PATH || defaultPath, {
+      users: [],
+      households: [],
+      invites: [],
+    });
+  }
+
+  get users() {
+    return this.store.data.users;
+  }
+
+  get households() {
+    return this.store.data.households;
+  }
+
+  get invites() {
+    return this.store.data.invites;
+  }
+
+  publicUser(user) {
+    const { passwordHash, tokenVersion, ...rest } = user;
+    return rest;
+  }
+
+  getUser(id) {
+    return this.users.find((u) => u.id === id) || null;
+  }
+
+  // The household with its members, owners first.
+  getHousehold(id) {
+    const household = this.households.find((h) => h.id === id);
+    if (!household) return null;
+    const members = this.members(id)
+      .sort((a, b) => ROLES.indexOf(a.role) - ROLES.indexOf(b.role) || a.createdAt.localeCompare(b.createdAt))
+      .map(({ id: userId, name, email, role, joinedAt }) => ({ id: userId, name, email, role, joinedAt }));
+    return { ...household, members };
+  }
+
+  members(householdId) {
+    return this.users.filter((u) => u.householdId === householdId);
+  }
+
+  createHousehold(name) {
+    const household = { id: crypto.randomUUID(), name, createdAt: new Date().toISOString() };
+    this.households.push(household);
+    return household;
+  }
+
+  // Moves the user into a household. Their old household is deleted once
+  // nobody is left in it; its data stays behind, unreachable.
+  assign(user, householdId, role) {
+    const previous = user.householdId;
+    user.householdId = householdId;
+    user.role = role;
+    user.joinedAt = new Date().toISOString();
+    if (previous && previous !== householdId && !this.members(previous).length) {
+      this.store.data.households = this.households.filter((h) => h.id !== previous);
+      this.store.data.invites = this.invites.filter((i) => i.householdId !== previous);
+    }
+  }
+
+  // ==============================
+  // Registration and login
+  // ==============================
+  // Body: { email, password, name?, inviteCode? }. With an invite code the
+  // user joins that household as a member, otherwise they get a household
+  // of their own as its owner.
+  async register({ email, password, name, inviteCode } = {}) {
+    const errors = validateCredentials({ email, password });
+    if (errors.length) throw new HttpError(400, 'Invalid registration', errors);
+    email = normalizeEmail(email);
+    name = name === undefined ? email.split('@')[0] : validateName(name, 'name');
+
+    const passwordHash = await hashPassword(password);
+    // Checked after the await, so concurrent sign-ups can't both pass.
+    if (this.users.some((u) => u.email === email)) throw new HttpError(409, 'An account with this email already exists');
+    const invite = inviteCode ? this.findInvite(inviteCode) : null;
+
+    const now = new Date().toISOString();
+    const user = { id: crypto.randomUUID(), email, name, passwordHash, tokenVersion: 0, createdAt: now, lastLoginAt: now };
+    if (invite) {
+      this.assign(user, invite.householdId, 'member');
+      invite.uses += 1;
+    } else {
+      this.assign(user, this.createHousehold(`${name}'s household`).id, 'owner');
+    }
+    this.users.push(user);
+    this.store.save();
+    console.log(`👤 Registered ${email}${invite ? ' by invite' : ''}`);
+    return user;
+  }
+
+  // → the user, or a 401 that doesn't say which of email/password was wrong.
+  async login({ email, password } = {}) {
+    // Checked before hashing, so logins can't make the server hash arbitrary input.
+    if (typeof password !== 'string' || password.length > MAX_PASSWORD_LENGTH) {
+      throw new HttpError(400, `password must be a string of at most ${MAX_PASSWORD_LENGTH} characters`);
+    }
+    const user = this.users.find((u) => u.email === normalizeEmail(email));
+    const valid = await verifyPassword(password, user ? user.passwordHash : await dummyHash);
+    if (!user || !valid) throw new HttpError(401, 'Invalid email or password');
+    user.lastLoginAt = new Date().toISOString();
+    this.store.save();
+    return user;
+  }
+
+  // Revokes every session token issued to the user so far.
+  logout(user) {
+    user.tokenVersion += 1;
+    this.store.save();
+  }
+
+  // ==============================
+  // Session tokens
+  // ==============================
+  // base64url(JSON { sub, ver, exp }) + "." + base64url(HMAC-SHA256)
+  issueToken(user, now = Date.now()) {
+    const expiresAt = new Date(now + SESSION_TTL_HOURS * HOUR_MS);
+    const payload = base64url(JSON.stringify({ sub: user.id, ver: user.tokenVersion, exp: Math.floor(expiresAt / 1000) }));
+    return { token: `${payload}.${sign(payload)}`, expiresAt: expiresAt.toISOString() };
+  }
+
+  // The user a token was issued to, or null when it is forged, expired,
+  // revoked or the account is gone.
+  authenticate(token, now = Date.now()) {
+    const [payload, signature, extra] = String(token || '').split('.');
+    if (!payload || !signature || extra !== undefined || !safeEqual(signature, sign(payload))) return null;
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+      return null;
+    }
+    if (!claims || typeof claims.exp !== 'number' || claims.exp * 1000 <= now) return null;
+    const user = this.getUser(claims.sub);
+    return user && user.tokenVersion === claims.ver ? user : null;
+  }
+
+  // ==============================
+  // Households
+  // ==============================
+  renameHousehold(householdId, name) {
+    const household = this.households.find((h) => h.id === householdId);
+    household.name = validateName(name, 'name');
+    this.store.save();
+    return this.getHousehold(householdId);
+  }
+
+  // Owners can promote members or hand over ownership, as long as the
+  // household keeps at least one owner.
+  setRole(householdId, memberId, role) {
+    if (!ROLES.includes(role)) throw new HttpError(400, `role must be one of: ${ROLES.join(', ')}`);
+    const member = this.members(householdId).find((u) => u.id === memberId);
+    if (!member) throw new HttpError(404, 'Member not found');
+    if (member.role === 'owner' && role !== 'owner' && this.isLastOwner(member)) {
+      throw new HttpError(409, 'A household needs an owner. Make someone else an owner first.');
+    }
+    member.role = role;
+    this.store.save();
+    return this.getHousehold(householdId);
+  }
+
+  // Owners can remove anyone; members can only remove themselves (leave).
+  // Whoever leaves gets a new household of their own.
+  removeMember(actor, memberId) {
+    const member = this.members(actor.householdId).find((u) => u.id === memberId);
+    if (!member) throw new HttpError(404, 'Member not found');
+    if (member.id !== actor.id && actor.role !== 'owner') throw new HttpError(403, 'Only owners can remove other members');
+    this.ensureCanLeave(member);
+    this.assign(member, this.createHousehold(`${member.name}'s household`).id, 'owner');
+    this.store.save();
+    console.log(`👥 ${member.email} left household ${actor.householdId}`);
+    return this.getHousehold(actor.householdId);
+  }
+
+  isLastOwner(user) {
+    return user.role === 'owner' && !this.members(user.householdId).some((u) => u.id !== user.id && u.role === 'owner');
+  }
+
+  ensureCanLeave(user) {
+    const others = this.members(user.householdId).filter((u) => u.id !== user.id);
+    if (!others.length) throw new HttpError(409, 'You are the only member of this household');
+    if (this.isLastOwner(user)) {
+      throw new HttpError(409, 'The last owner can only leave once someone else is an owner');
+    }
+  }
+
+  // ==============================
+  // Invites
+  // ==============================
+  // Codes like "K7QF-M2XD", usable `maxUses` times until they expire.
+  createInvite(user, { maxUses = 1, expiresInHours = INVITE_TTL_HOURS } = {}) {
+    if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_INVITE_USES) {
+      throw new HttpError(400, `maxUses must be an integer from 1 to ${MAX_INVITE_USES}`);
+    }
+    if (typeof expiresInHours !== 'number' || !(expiresInHours > 0) || expiresInHours > 30 * 24) {
+      throw new HttpError(400, 'expiresInHours must be a number above 0 and at most 720');
+    }
+    const now = Date.now();
+    const invite = {
+      code: generateCode(),
+      householdId: user.householdId,
+      createdBy: user.id,
+      maxUses,
+      uses: 0,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + expiresInHours * HOUR_MS).toISOString(),
+    };
+    this.invites.push(invite);
+    this.store.save();
+    return this.publicInvite(invite);
+  }
+
+  publicInvite(invite) {
+    return { ...invite, code: formatCode(invite.code) };
+  }
+
+  // Invites that can still be used.
+  listInvites(householdId, now = Date.now()) {
+    return this.invites
+      .filter((i) => i.householdId === householdId && i.uses < i.maxUses && new Date(i.expiresAt).getTime() > now)
+      .map((invite) => this.publicInvite(invite));
+  }
+
+  revokeInvite(householdId, code) {
+    const index = this.invites.findIndex((i) => i.householdId === householdId && i.code === normalizeCode(code));
+    if (index === -1) return false;
+    this.invites.splice(index, 1);
+    this.store.save();
+    return true;
+  }
+
+  findInvite(code, now = Date.now()) {
+    const invite = this.invites.find((i) => i.code === normalizeCode(code));
+    if (!invite || invite.uses >= invite.maxUses || new Date(invite.expiresAt).getTime() <= now) {
+      throw new HttpError(404, 'Invite code is invalid or has expired');
+    }
+    return invite;
+  }
+
+  // Moves an existing user into the invite's household as a member.
+  joinHousehold(user, code) {
+    const invite = this.findInvite(code);
+    if (invite.householdId === user.householdId) throw new HttpError(409, 'You are already a member of this household');
+    if (this.members(user.householdId).length > 1) this.ensureCanLeave(user);
+    this.assign(user, invite.householdId, 'member');
+    invite.uses += 1;
+    this.store.save();
+    console.log(`👥 ${user.email} joined household ${invite.householdId}`);
+    return this.getHousehold(invite.householdId);
+  }
+
+  // Removes invites that are used up or past their expiry.
+  prune(now = Date.now()) {
+    const before = this.invites.length;
+    this.store.data.invites = this.invites.filter((i) => i.uses < i.maxUses && new Date(i.expiresAt).getTime() > now);
+    const removed = before - this.invites.length;
+    if (removed) this.store.save();
+    return removed;
+  }
+}
+
+const accountService = new AccountService();
+
+module.exports = {
+  AccountService,
+  accountService,
+  hashPassword,
+  verifyPassword,
+  ROLES,
+};
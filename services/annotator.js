@@ -0,0 +1,80 @@
+const sharp = require('sharp');
+
+const { HttpError } = require('./errors');
+const { splitLabel } = require('./labels');
+
+const ANNOTATION_FORMATS = ['jpeg', 'png'];
+const COLORS = { Fresh: '#16a34a', Rotten: '#dc2626' };
+const FALLBACK_COLOR = '#f59e0b';
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+// One box with a filled label tab above it (inside it when the box touches the top edge).
+function boxSvg(detection, width, height, scale) {
+  const { x, y, width: w, height: h } = detection.bbox;
+  const left = Math.round(x * width);
+  const top = Math.round(y * height);
+  const boxWidth = Math.max(1, Math.round(w * width));
+  const boxHeight = Math.max(1, Math.round(h * height));
+  const color = COLORS[splitLabel(detection.label).status] || FALLBACK_COLOR;
+
+  const stroke = Math.max(2, Math.round(3 * scale));
+  const fontSize = Math.max(12, Math.round(18 * scale));
+  const text = `${detection.label.replace(/_/g, ' ')} ${Math.round(detection.confidence * 100)}%`;
+  // No text metrics in SVG → approximate the tab width from the character count.
+  const tabWidth = Math.round(text.length * fontSize * 0.6 + fontSize * 0.6);
+  const tabHeight = Math.round(fontSize * 1.4);
+  const tabTop = top - tabHeight >= 0 ? top - tabHeight : top;
+  const tabLeft = Math.min(left, Math.max(0, width - tabWidth));
+
+  return [
+    `<rect x="${left}" y="${top}" width="${boxWidth}" height="${boxHeight}" fill="none" stroke="${color}" stroke-width="${stroke}"/>`,
+    `<rect x="${tabLeft}" y="${tabTop}" width="${tabWidth}" height="${tabHeight}" fill="${color}"/>`,
+    `<text x="${tabLeft + Math.round(fontSize * 0.3)}" y="${tabTop + Math.round(fontSize * 1.05)}" ` +
+      `font-family="DejaVu Sans, Arial, sans-serif" font-size="${fontSize}" fill="#ffffff">${escapeXml(text)}</text>`,
+  ].join('');
+}
+
+// ==============================
+// 🖍️ Annotated result images
+// ==============================
+// Draws detections onto the (sanitized) source image: green boxes for
+// Fresh_*, red for Rotten_*, each labelled with its confidence. `bbox` is
+// normalized to the image, so no model-space conversion is needed here.
+//   → { buffer, mimetype }
+async function renderAnnotated(image, detections, { format = 'jpeg' } = {}) {
+  if (!ANNOTATION_FORMATS.includes(format)) {
+    throw new HttpError(400, `format must be one of: ${ANNOTATION_FORMATS.join(', ')}`);
+  }
+  // Stored images have been through imageSanitizer, so they are already
+  // upright and carry no EXIF orientation to account for.
+  const { width, height } = await sharp(image).metadata();
+
+  // Line and text size follow the image so boxes stay readable on photos
+  // of any resolution.
+  const scale = Math.max(width, height) / 1000;
+  const boxes = [...detections]
+    .filter((detection) => detection.bbox)
+    .sort((a, b) => a.confidence - b.confidence) // most confident drawn last, on top
+    .map((detection) => boxSvg(detection, width, height, scale))
+    .join('');
+  const overlay = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${boxes}</svg>`);
+
+  const output = sharp(image).composite([{ input: overlay, top: 0, left: 0 }]);
+  const buffer = format === 'png' ? await output.png().toBuffer() : await output.jpeg({ quality: 85 }).toBuffer();
+  return { buffer, mimetype: `image/${format}` };
+}
+
+// Data URI for embedding in JSON responses.
+async function renderAnnotatedDataUri(image, detections, options) {
+  const { buffer, mimetype } = await renderAnnotated(image, detections, options);
+  return `data:${mimetype};base64,${buffer.toString('base64')}`;
+}
+
+module.exports = {
+  renderAnnotated,
+  renderAnnotatedDataUri,
+  ANNOTATION_FORMATS,
+};
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const path = require('path');
+require('dotenv').config();
+
+const { JsonStore } = require('./jsonStore');
+const { HttpError } = require('./errors');
+
+const DEFAULT_DAILY_QUOTA = parseInt(process.env.DAILY_DETECTION_QUOTA, 10) || 500;
+const KEY_PREFIX = 'ft_';
+
+function hashKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function today(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+function validateQuota(dailyQuota) {
+  if (dailyQuota !== null && (!Number.isInteger(dailyQuota) || dailyQuota < 0)) {
+    throw new HttpError(400, 'dailyQuota must be a non-negative integer or null for the default');
+  }
+}
+
+// ==============================
+// ApiKeyService Class
+// ==============================
+// API keys are shown once when created and only their SHA-256 hash is
+// stored. Detection usage is counted per key (or per IP for anonymous
+// clients) per UTC day so quotas survive restarts. Usage and `lastUsedAt`
+// change on every request, so they are written in batches (saveSoon).
+class ApiKeyService {
+  constructor(filePath) {
+    const defaultPath = path.join(__dirname, '../data/api_keys.json');
+    this.store = new JsonStore(filePath || process.env.API_KEYS_PATH || defaultPath, {
+      keys: [],
+      usage: { date: today(), counts: {} },
+    });
+  }
+
+  get keys() {
+    return this.store.data.keys;
+  }
+
+  publicKey(key) {
+    const { hash, ...rest } = key;
+    return { ...rest, usedToday: this.usedToday(key.id), quota: this.quotaFor(key) };
+  }
+
+  createKey({ name, dailyQuota = null } = {}) {
+    if (!name || typeof name !== 'string') throw new HttpError(400, 'name is required');
+    validateQuota(dailyQuota);
+
+    const apiKey = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const key = {
+      id: crypto.randomUUID(),
+      name,
+      prefix: apiKey.slice(0, KEY_PREFIX.length + 6),
+      hash: hashKey(apiKey),
+      dailyQuota,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+    };
+    this.keys.push(key);
+    this.store.save();
+    return { key: this.publicKey(key), apiKey };
+  }
+
+  listKeys() {
+    return this.keys.map((key) => this.publicKey(key));
+  }
+
+  updateKey(id, { name, dailyQuota } = {}) {
+    const key = this.keys.find((k) => k.id === id);
+    if (!key) return null;
+    if (name !== undefined) {
+      if (!name || typeof name !== 'string') throw new HttpError(400, 'name must be a non-empty string');
+      key.name = name;
+    }
+    if (dailyQuota !== undefined) {
+      validateQuota(dailyQuota);
+      key.dailyQuota = dailyQuota;
+    }
+    this.store.save();
+    return this.publicKey(key);
+  }
+
+  revokeKey(id) {
+    const index = this.keys.findIndex((k) => k.id === id);
+    if (index === -1) return false;
+    this.keys.splice(index, 1);
+    this.store.save();
+    return true;
+  }
+
+  // The stored key for a plaintext API key, or null.
+  verify(apiKey) {
+    if (typeof apiKey !== 'string' || !apiKey.startsWith(KEY_PREFIX)) return null;
+    const hash = hashKey(apiKey);
+    const key = this.keys.find((k) => k.hash === hash);
+    if (!key) return null;
+    key.lastUsedAt = new Date().toISOString();
+    this.store.saveSoon();
+    return key;
+  }
+
+  quotaFor(key) {
+    return key && key.dailyQuota !== null && key.dailyQuota !== undefined ? key.dailyQuota : DEFAULT_DAILY_QUOTA;
+  }
+
+  // ==============================
+  // Daily usage
+  // ==============================
+  // Counters reset at midnight UTC.
+  get usage() {
+    const { usage } = this.store.data;
+    if (usage.date !== today()) {
+      usage.date = today();
+      usage.counts = {};
+    }
+    return usage;
+  }
+
+  usedToday(subject) {
+    return this.usage.counts[subject] || 0;
+  }
+
+  // Count `amount` detections against the subject's quota. Nothing is
+  // counted when that would go over the limit.
+  consume(subject, amount, limit) {
+    const used = this.usedToday(subject);
+    const allowed = used + amount <= limit;
+    if (allowed) {
+      this.usage.counts[subject] = used + amount;
+      this.store.saveSoon();
+    }
+    return { allowed, limit, remaining: Math.max(0, limit - (allowed ? used + amount : used)) };
+  }
+}
+
+// Seconds until the daily quotas reset.
+function secondsUntilReset(now = new Date()) {
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+const apiKeyService = new ApiKeyService();
+
+module.exports = {
+  ApiKeyService,
+  apiKeyService,
+  DEFAULT_DAILY_QUOTA,
+  secondsUntilReset,
+};
@@ -0,0 +1,138 @@
+require('dotenv').config();
+
+const { HttpError } = require('./errors');
+const { MAX_NMS_BOXES, DEFAULT_IOU_THRESHOLD } = require('./yoloDecoder');
+const { CLASS_NAMES, ITEM_CATEGORIES, splitLabel } = require('./labels');
+const { ITEM_ALIASES, normalizeTerm, singularize } = require('./itemMatcher');
+const { ANNOTATION_FORMATS } = require('./annotator');
+
+const SUMMARY_MODES = ['freshness'];
+
+// ==============================
+// Per-request detection options
+// ==============================
+// Read from the JSON body, multipart form fields or the query string, so
+// values may arrive as strings. Invalid values are a 400 listing every
+// problem rather than being silently ignored.
+function parseNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+// One allow-list entry → labels. Accepts labels ("Fresh_Beef"), items
+// ("beef", "mangoes") and categories ("meat", "fruits").
+function resolveClass(term) {
+  const key = normalizeTerm(term);
+  const singular = singularize(key);
+  const category = ITEM_CATEGORIES[key] || ITEM_CATEGORIES[singular];
+  if (category) return CLASS_NAMES.filter((label) => category.includes(splitLabel(label).item));
+
+  const label = CLASS_NAMES.find((name) => normalizeTerm(name) === key);
+  if (label) return [label];
+
+  const item = ITEM_ALIASES[key] || ITEM_ALIASES[singular] || singular;
+  const labels = CLASS_NAMES.filter((name) => normalizeTerm(splitLabel(name).item) === normalizeTerm(item));
+  return labels.length ? labels : null;
+}
+
+// → { confThreshold?, iouThreshold?, maxDetections?, classes?, summary?, annotate?, storeImage? }
+// with only the fields present in `input`.
+function readOptions(input = {}) {
+  const options = {};
+  const errors = [];
+
+  if (input.confidence !== undefined) {
+    const confidence = parseNumber(input.confidence);
+    if (!(confidence >= 0 && confidence <= 1)) errors.push('confidence must be a number between 0 and 1');
+    else options.confThreshold = confidence;
+  }
+
+  if (input.iou !== undefined) {
+    const iou = parseNumber(input.iou);
+    if (!(iou > 0 && iou <= 1)) errors.push('iou must be a number greater than 0 and at most 1');
+    else options.iouThreshold = iou;
+  }
+
+  if (input.maxDetections !== undefined) {
+    const maxDetections = parseNumber(input.maxDetections);
+    if (!Number.isInteger(maxDetections) || maxDetections < 1 || maxDetections > MAX_NMS_BOXES) {
+      errors.push(`maxDetections must be an integer between 1 and ${MAX_NMS_BOXES}`);
+    } else {
+      options.maxDetections = maxDetections;
+    }
+  }
+
+  if (input.classes !== undefined) {
+    const terms = Array.isArray(input.classes) ? input.classes : String(input.classes).split(',');
+    const labels = new Set();
+    for (const term of terms.map((t) => String(t).trim()).filter(Boolean)) {
+      const resolved = resolveClass(term);
+      if (resolved) resolved.forEach((label) => labels.add(label));
+      else errors.push(`Unknown class "${term}". Use a label, an item name or one of: ${Object.keys(ITEM_CATEGORIES).join(', ')}`);
+    }
+    if (!labels.size && !errors.length) errors.push('classes must list at least one class');
+    options.classes = CLASS_NAMES.filter((label) => labels.has(label));
+  }
+
+  if (input.summary !== undefined && input.summary !== '') {
+    if (!SUMMARY_MODES.includes(input.summary)) errors.push(`summary must be one of: ${SUMMARY_MODES.join(', ')}`);
+    else options.summary = input.summary;
+  }
+
+  // Inline annotated image: a format, or true for JPEG.
+  if (input.annotate !== undefined && input.annotate !== '') {
+    const value = String(input.annotate).toLowerCase();
+    if (['true', '1'].includes(value)) options.annotate = 'jpeg';
+    else if (['false', '0'].includes(value)) options.annotate = null;
+    else if (ANNOTATION_FORMATS.includes(value)) options.annotate = value;
+    else errors.push(`annotate must be true, false or one of: ${ANNOTATION_FORMATS.join(', ')}`);
+  }
+
+  // Keep the image with the history entry (off unless asked for).
+  if (input.storeImage !== undefined && input.storeImage !== '') {
+    const value = String(input.storeImage).toLowerCase();
+    if (['true', '1'].includes(value)) options.storeImage = true;
+    else if (['false', '0'].includes(value)) options.storeImage = false;
+    else errors.push('storeImage must be true or false');
+  }
+
+  return { options, errors };
+}
+
+// Server-wide defaults. A bad value here is a configuration error, so it
+// fails at startup instead of on every request.
+function loadDefaults(env = process.env) {
+  const { options, errors } = readOptions({
+    confidence: env.CONFIDENCE_THRESHOLD || undefined,
+    iou: env.NMS_THRESHOLD || undefined,
+    maxDetections: env.MAX_DETECTIONS || undefined,
+    classes: env.DETECTION_CLASSES || undefined,
+  });
+  if (errors.length) throw new Error(`Invalid detection defaults in environment: ${errors.join('; ')}`);
+  return {
+    confThreshold: 0.25,
+    iouThreshold: DEFAULT_IOU_THRESHOLD,
+    maxDetections: MAX_NMS_BOXES,
+    classes: null,
+    summary: null,
+    annotate: null,
+    storeImage: false,
+    ...options,
+  };
+}
+
+const DEFAULT_DETECTION_OPTIONS = Object.freeze(loadDefaults());
+
+// Request options merged over the defaults. Throws a 400 with `errors`.
+function parseDetectionOptions(input = {}) {
+  const { options, errors } = readOptions(input);
+  if (errors.length) throw new HttpError(400, 'Invalid detection options', errors);
+  return { ...DEFAULT_DETECTION_OPTIONS, ...options };
+}
+
+module.exports = {
+  parseDetectionOptions,
+  DEFAULT_DETECTION_OPTIONS,
+  SUMMARY_MODES,
+};
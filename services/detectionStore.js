@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const bytes = require('bytes');
+
+const MAX_DETECTIONS = parseInt(process.env.DETECTION_CACHE_SIZE, 10) || 1000;
+const RESULT_IMAGE_CACHE_SIZE = bytes.parse(process.env.RESULT_IMAGE_CACHE_SIZE || '100mb');
+
+// ==============================
+// Recent detections
+// ==============================
+// Every detection returned by /api/detect gets an ID so clients can refer
+// back to it (e.g. to add it to the pantry). Only the most recent
+// MAX_DETECTIONS are kept, in memory. Detections and results belong to the
+// `clientId` they were made for (see scopeOf) and are only found by it.
+const detections = new Map();
+
+function recordDetections(results, { clientId, resultId = null, detectedAt = new Date().toISOString() } = {}) {
+  for (const detection of results) {
+    detection.id = crypto.randomUUID();
+    detections.set(detection.id, {
+      id: detection.id,
+      clientId,
+      resultId,
+      label: detection.label,
+      confidence: detection.confidence,
+      bbox: detection.bbox,
+      detectedAt,
+    });
+  }
+
+  while (detections.size > MAX_DETECTIONS) {
+    detections.delete(detections.keys().next().value);
+  }
+  return results;
+}
+
+function getDetection(id, clientId) {
+  const detection = detections.get(id);
+  return detection && detection.clientId === clientId ? detection : null;
+}
+
+// ==============================
+// Recent result images
+// ==============================
+// The sanitized source image of each detected image, kept so it can be
+// rendered with its boxes later (/api/detect/:id/annotated). Bounded by
+// total size rather than count since images vary a lot; the oldest go first.
+const results = new Map();
+let resultBytes = 0;
+
+function recordResult(image, resultDetections, { clientId, detectedAt = new Date().toISOString() } = {}) {
+  const id = crypto.randomUUID();
+  results.set(id, {
+    id,
+    clientId,
+    image,
+    detections: resultDetections.map(({ label, confidence, bbox }) => ({ label, confidence, bbox })),
+    detectedAt,
+  });
+  resultBytes += image.length;
+
+  // Always keep the newest result, even if it alone is over the limit.
+  while (resultBytes > RESULT_IMAGE_CACHE_SIZE && results.size > 1) {
+    const oldest = results.values().next().value;
+    results.delete(oldest.id);
+    resultBytes -= oldest.image.length;
+  }
+  return id;
+}
+
+// By result ID, or by the ID of any detection from that result.
+function getResult(id, clientId) {
+  const detection = detections.get(id);
+  const result = results.get(id) || (detection && detection.resultId && results.get(detection.resultId));
+  return result && result.clientId === clientId ? result : null;
+}
+
+module.exports = { recordDetections, getDetection, recordResult, getResult };
@@ -0,0 +1,44 @@
+// ==============================
+// Detection worker
+// ==============================
+// Entry point for the worker threads started by WorkerPool. Each worker
+// loads its own detector (and ONNX session) once and then handles one
+// task at a time:
+//   { id, requestId, filePaths | buffers, batch, options, model }
+//     → { id, result, events } | { id, error, events }
+// `model` is a descriptor from the model registry; sessions are cached per
+// version. `events` carries the task's metric updates to the main thread.
+// Uploaded files are deleted by processImage/processImages as usual.
+// WorkerPool with size 0 calls runDetection() directly on the main thread.
+const { isMainThread, parentPort } = require('worker_threads');
+const { setupLogging, requestContext } = require('./logger');
+const { metrics } = require('./metrics');
+const { processImage, processImages, getDetector, DEFAULT_MODEL } = require('./imageProcessor');
+
+// One task → { detections } or { results } (batch), plus the backend used.
+async function runDetection({ filePaths, buffers, batch, options, model = DEFAULT_MODEL }) {
+  // Buffers arrive as plain Uint8Arrays after structured cloning.
+  const inputs = buffers ? buffers.map((b) => Buffer.from(b.buffer, b.byteOffset, b.byteLength)) : filePaths;
+  const result = batch
+    ? { results: await processImages(inputs, options, model) }
+    : { detections: await processImage(inputs[0], options, model) };
+  const detector = getDetector(model).name;
+  const modelVersion = detector === 'mock' ? 'mock' : model.version || 'unknown';
+  return { ...result, detector, modelVersion };
+}
+
+async function runTask({ id, ...task }) {
+  try {
+    const result = await runDetection(task);
+    parentPort.postMessage({ id, result, events: metrics.drainEvents() });
+  } catch (err) {
+    parentPort.postMessage({ id, error: err.message, events: metrics.drainEvents() });
+  }
+}
+
+if (!isMainThread) {
+  setupLogging();
+  parentPort.on('message', (task) => requestContext.run({ requestId: task.requestId }, () => runTask(task)));
+}
+
+module.exports = { runDetection };
@@ -0,0 +1,25 @@
+// ==============================
+// HttpError
+// ==============================
+// Thrown by services for failures that map onto an HTTP status; routes
+// turn it into the usual { success: false, message } JSON body.
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    if (details) this.details = details;
+  }
+}
+
+function sendError(res, err, fallbackMessage) {
+  if (err instanceof HttpError) {
+    const body = { success: false, message: err.message };
+    if (err.details) body.errors = err.details;
+    return res.status(err.status).json(body);
+  }
+  console.error(`❌ ${fallbackMessage}:`, err);
+  return res.status(500).json({ success: false, message: fallbackMessage, error: err.message });
+}
+
+module.exports = { HttpError, sendError };
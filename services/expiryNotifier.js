@@ -0,0 +1,35 @@
+require('dotenv').config();
+
+const { pantryService } = require('./pantryService');
+const { webhookService } = require('./webhookService');
+
+const WARNING_DAYS = parseInt(process.env.EXPIRY_WARNING_DAYS, 10) || 2;
+
+// ==============================
+// Expiry scan
+// ==============================
+// Emits `item.expiring_soon` once an active pantry item is within
+// WARNING_DAYS of its expiry (shelf_life-based), and `item.expired` once it
+// is past it. Each event is sent at most once per item, to the webhooks of
+// the item's household or API key.
+async function scanExpiringItems() {
+  const items = pantryService.listItems({ status: 'active' });
+  let emitted = 0;
+
+  for (const item of items) {
+    let event = null;
+    if (item.expired) event = 'item.expired';
+    else if (item.daysLeft <= WARNING_DAYS) event = 'item.expiring_soon';
+    if (!event || (item.notified && item.notified[event])) continue;
+
+    const { notified, ...data } = item;
+    await webhookService.emit(event, { item: data }, { clientId: item.clientId });
+    pantryService.markNotified(item.id, event);
+    emitted++;
+  }
+
+  if (emitted) console.log(`🔔 Expiry scan emitted ${emitted} events`);
+  return emitted;
+}
+
+module.exports = { scanExpiringItems, WARNING_DAYS };
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const bytes = require('bytes');
+require('dotenv').config();
+
+const { HttpError } = require('./errors');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFMPEG_TIMEOUT_MS = parseInt(process.env.SCAN_FFMPEG_TIMEOUT_MS, 10) || 60 * 1000;
+const SCAN_FPS = parseFloat(process.env.SCAN_FPS) || 2;
+const SCAN_MAX_FRAMES = parseInt(process.env.SCAN_MAX_FRAMES, 10) || 30;
+const SCAN_MAX_SIZE = bytes.parse(process.env.SCAN_MAX_SIZE || '50mb');
+// Sampled frames are scaled down to at most this width before inference.
+const FRAME_MAX_WIDTH = 1280;
+const MAX_FPS = 10;
+
+// ==============================
+// Video type sniffing
+// ==============================
+// MP4/MOV (an ISO BMFF "ftyp" box) and WebM/Matroska (EBML header), from
+// the magic bytes rather than the name or Content-Type.
+// → 'mp4' | 'webm' | null
+function sniffVideoType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  if (buffer.toString('latin1', 4, 8) === 'ftyp') return 'mp4';
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) return 'webm';
+  return null;
+}
+
+// Sampling rate from the request, or SCAN_FPS. Throws a 400.
+function parseFps(value) {
+  if (value === undefined || value === '') return SCAN_FPS;
+  const fps = Number(value);
+  if (!(fps > 0 && fps <= MAX_FPS)) throw new HttpError(400, `fps must be a number above 0 and at most ${MAX_FPS}`);
+  return fps;
+}
+
+// ==============================
+// Frame extraction
+// ==============================
+// Decodes a short video with ffmpeg, sampling `fps` frames per second (at
+// most `maxFrames`), → JPEG buffers in order. Only videos need ffmpeg; a
+// burst of images goes straight to detection. 501 when ffmpeg is missing,
+// 422 when it can't decode the video, 504 when it takes too long.
+async function extractFrames(video, { fps = SCAN_FPS, maxFrames = SCAN_MAX_FRAMES, ffmpegPath = FFMPEG_PATH, timeoutMs = FFMPEG_TIMEOUT_MS } = {}) {
+  if (video.length > SCAN_MAX_SIZE) {
+    throw new HttpError(413, `Video is too large. Videos may be at most ${bytes.format(SCAN_MAX_SIZE)}.`);
+  }
+  const type = sniffVideoType(video);
+  if (!type) throw new HttpError(415, 'Unsupported video type. Upload an MP4, MOV or WebM video.');
+
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'freshtrack-scan-'));
+  try {
+    const input = path.join(dir, `input.${type}`);
+    await fs.promises.writeFile(input, video);
+    await runFfmpeg(ffmpegPath, [
+      '-hide_banner', '-loglevel', 'error', '-nostdin',
+      '-i', input,
+      '-vf', `fps=${fps},scale='min(${FRAME_MAX_WIDTH},iw)':-2`,
+      '-frames:v', String(maxFrames),
+      '-q:v', '3',
+      path.join(dir, 'frame-%04d.jpg'),
+    ], timeoutMs);
+
+    const names = (await fs.promises.readdir(dir)).filter((name) => name.startsWith('frame-')).sort();
+    if (!names.length) throw new HttpError(422, 'No frames could be read from the video.');
+    return Promise.all(names.map((name) => fs.promises.readFile(path.join(dir, name))));
+  } finally {
+    fs.promises.rm(dir, { recursive: true, force: true }).catch((err) => {
+      console.warn('⚠️ Could not remove scan frames:', err.message);
+    });
+  }
+}
+
+function runFfmpeg(ffmpegPath, args, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(ffmpegPath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk).slice(-2000);
+    });
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      reject(new HttpError(504, `Video decoding took longer than ${timeoutMs} ms.`));
+    }, timeoutMs);
+
+    child.on('error', (err) => {
+      clearTimeout(timer);
+      if (err.code === 'ENOENT') {
+        reject(new HttpError(501, 'Video scanning needs ffmpeg (see FFMPEG_PATH). Send the frames as images instead.'));
+      } else {
+        reject(err);
+      }
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (code === 0) return resolve();
+      const reason = stderr.trim().split('\n').pop() || `ffmpeg exited with code ${code}`;
+      reject(new HttpError(422, `Video could not be decoded: ${reason}`));
+    });
+  });
+}
+
+module.exports = {
+  sniffVideoType,
+  parseFps,
+  extractFrames,
+  SCAN_MAX_FRAMES,
+  SCAN_MAX_SIZE,
+};
@@ -0,0 +1,147 @@
+require('dotenv').config();
+
+const { iou } = require('./yoloDecoder');
+const { splitLabel } = require('./labels');
+const { scoreFreshness } = require('./freshnessSummary');
+
+const TRACK_IOU = parseFloat(process.env.SCAN_TRACK_IOU) || 0.3;
+const MAX_GAP_FRAMES = process.env.SCAN_MAX_GAP_FRAMES === '0' ? 0 : parseInt(process.env.SCAN_MAX_GAP_FRAMES, 10) || 2;
+const MIN_TRACK_FRAMES = parseInt(process.env.SCAN_MIN_TRACK_FRAMES, 10) || 2;
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function toCorners({ x, y, width, height }) {
+  return { x1: x, y1: y, x2: x + width, y2: y + height };
+}
+
+// ==============================
+// Observations
+// ==============================
+// One frame's detections → one observation per physical object. NMS is per
+// class, so Fresh_X and Rotten_X boxes over the same object are merged
+// (IoU above `iouThreshold`), keeping the most confident box and its
+// freshness score (see scoreFreshness).
+//   → [{ item, bbox, confidence, freshness }]
+function observe(detections, { iouThreshold = 0.4 } = {}) {
+  const scores = scoreFreshness(detections, { iouThreshold });
+  const observations = [];
+  detections
+    .map((detection, i) => ({ detection, score: scores[i] }))
+    .filter(({ detection }) => detection.bbox)
+    .sort((a, b) => b.detection.confidence - a.detection.confidence)
+    .forEach(({ detection, score }) => {
+      const { item } = splitLabel(detection.label);
+      const box = toCorners(detection.bbox);
+      const same = observations.find((o) => o.item === item && iou(toCorners(o.bbox), box) > iouThreshold);
+      if (same) return;
+      observations.push({
+        item,
+        bbox: detection.bbox,
+        confidence: detection.confidence,
+        freshness: score ? score.score : null,
+      });
+    });
+  return observations;
+}
+
+// ==============================
+// Cross-frame tracking
+// ==============================
+// Follows objects through an ordered list of frames so each physical item is
+// reported once. In every frame, observations are matched to open tracks of
+// the same item by IoU with the track's last box (best pairs first, above
+// `iouThreshold`); the rest start new tracks. A track closes once it goes
+// unmatched for more than `maxGap` frames, so brief occlusions don't split
+// it. Tracks seen in fewer than `minFrames` frames (capped at the number of
+// frames) are dropped as flicker.
+//   frames: [{ detections } | { error }] in capture order
+//   → [{ trackId, item, label, confidence, maxConfidence, freshness,
+//        frames, firstFrame, lastFrame, bestFrame, bbox }]
+//     `confidence` is the mean over the frames the object was seen in,
+//     `freshness` the confidence-weighted mean, and `bbox` the box from
+//     `bestFrame`, where it was detected most confidently.
+function trackObjects(frames, { iouThreshold = TRACK_IOU, maxGap = MAX_GAP_FRAMES, minFrames = MIN_TRACK_FRAMES, nmsThreshold } = {}) {
+  const tracks = [];
+
+  frames.forEach((frame, index) => {
+    if (!frame || !Array.isArray(frame.detections)) return;
+    const observations = observe(frame.detections, { iouThreshold: nmsThreshold });
+    const open = tracks.filter((track) => index - track.lastFrame <= maxGap + 1);
+
+    const pairs = [];
+    observations.forEach((observation, o) => {
+      const box = toCorners(observation.bbox);
+      for (const track of open) {
+        if (track.item !== observation.item) continue;
+        const overlap = iou(toCorners(track.lastBox), box);
+        if (overlap > iouThreshold) pairs.push({ track, o, overlap });
+      }
+    });
+    pairs.sort((a, b) => b.overlap - a.overlap);
+
+    const matchedTracks = new Set();
+    const matchedObservations = new Set();
+    for (const { track, o } of pairs) {
+      if (matchedTracks.has(track) || matchedObservations.has(o)) continue;
+      matchedTracks.add(track);
+      matchedObservations.add(o);
+      addObservation(track, observations[o], index);
+    }
+    observations.forEach((observation, o) => {
+      if (matchedObservations.has(o)) return;
+      const track = { trackId: tracks.length + 1, item: observation.item, observations: [] };
+      addObservation(track, observation, index);
+      tracks.push(track);
+    });
+  });
+
+  const processed = frames.filter((frame) => frame && Array.isArray(frame.detections)).length;
+  const required = Math.max(1, Math.min(minFrames, processed));
+  return tracks.filter((track) => track.observations.length >= required).map(summarizeTrack);
+}
+
+function addObservation(track, observation, frameIndex) {
+  track.observations.push({ ...observation, frame: frameIndex });
+  track.lastBox = observation.bbox;
+  track.lastFrame = frameIndex;
+}
+
+function summarizeTrack({ trackId, item, observations }) {
+  const best = observations.reduce((a, b) => (b.confidence > a.confidence ? b : a));
+  const confidence = observations.reduce((sum, o) => sum + o.confidence, 0) / observations.length;
+  const scored = observations.filter((o) => o.freshness !== null);
+  const weight = scored.reduce((sum, o) => sum + o.confidence, 0);
+  const freshness = weight ? scored.reduce((sum, o) => sum + o.freshness * o.confidence, 0) / weight : null;
+
+  return {
+    trackId,
+    item,
+    label: freshness === null ? item : `${freshness >= 0.5 ? 'Fresh' : 'Rotten'}_${item}`,
+    confidence: round(confidence, 2),
+    maxConfidence: best.confidence,
+    freshness: freshness === null ? null : round(freshness, 2),
+    frames: observations.length,
+    firstFrame: observations[0].frame,
+    lastFrame: observations[observations.length - 1].frame,
+    bestFrame: best.frame,
+    bbox: best.bbox,
+  };
+}
+
+// Scene inventory: tracked objects counted per item, fresh vs rotten.
+//   → [{ item, count, fresh, rotten }], most numerous first
+function summarizeInventory(objects) {
+  const byItem = new Map();
+  for (const object of objects) {
+    if (!byItem.has(object.item)) byItem.set(object.item, { item: object.item, count: 0, fresh: 0, rotten: 0 });
+    const entry = byItem.get(object.item);
+    entry.count += 1;
+    if (object.freshness !== null) entry[object.freshness >= 0.5 ? 'fresh' : 'rotten'] += 1;
+  }
+  return [...byItem.values()].sort((a, b) => b.count - a.count || a.item.localeCompare(b.item));
+}
+
+module.exports = { observe, trackObjects, summarizeInventory };
@@ -0,0 +1,96 @@
+const { iou } = require('./yoloDecoder');
+const { splitLabel } = require('./labels');
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function toCorners({ x, y, width, height }) {
+  return { x1: x, y1: y, x2: x + width, y2: y + height };
+}
+
+function otherStatus(status) {
+  return status === 'Rotten' ? 'Fresh' : 'Rotten';
+}
+
+// ==============================
+// Per-detection freshness
+// ==============================
+// Probability that the object in each Fresh_X / Rotten_X box is fresh:
+// fresh / (fresh + rotten). The other status's probability comes from the
+// same anchor (`counterpartConfidence`, see yoloDecoder) or an overlapping
+// box of the other status (IoU above `iouThreshold`), whichever is higher.
+// Without either (e.g. the mock detector) it is taken as 1 - confidence.
+//   → [{ score, certainty } | null] in detection order; certainty is the
+//     larger of the two probabilities
+function scoreFreshness(detections, { iouThreshold = 0.4 } = {}) {
+  return detections.map((detection) => {
+    const { status, item } = splitLabel(detection.label);
+    if (status !== 'Fresh' && status !== 'Rotten') return null;
+
+    const otherLabel = `${otherStatus(status)}_${item}`;
+    const box = detection.bbox ? toCorners(detection.bbox) : null;
+    let other = detection.counterpartConfidence;
+    for (const candidate of detections) {
+      if (candidate.label !== otherLabel || !box || !candidate.bbox) continue;
+      if (iou(box, toCorners(candidate.bbox)) > iouThreshold) other = Math.max(other || 0, candidate.confidence);
+    }
+    if (other === undefined) other = 1 - detection.confidence;
+
+    const [fresh, rotten] = status === 'Fresh' ? [detection.confidence, other] : [other, detection.confidence];
+    return {
+      score: round(fresh + rotten ? fresh / (fresh + rotten) : 0.5, 2),
+      certainty: round(Math.max(fresh, rotten), 2),
+    };
+  });
+}
+
+// ==============================
+// Freshness summary
+// ==============================
+// Collapses Fresh_X / Rotten_X detections into one entry per item. NMS is
+// per class, so the model can report the same object as both Fresh_Apple
+// and Rotten_Apple; overlapping boxes of the same item (IoU above
+// `iouThreshold`) are treated as one object whose freshness probability is
+// fresh / (fresh + rotten) confidence, counting each box's
+// `counterpartConfidence` too. An item's freshness is the mean over its
+// objects.
+//   → [{ item, count, freshness, status, confidence }]
+function summarizeFreshness(detections, { iouThreshold = 0.4 } = {}) {
+  const byItem = new Map();
+  for (const detection of [...detections].sort((a, b) => b.confidence - a.confidence)) {
+    const { status, item } = splitLabel(detection.label);
+    if (!byItem.has(item)) byItem.set(item, []);
+    const objects = byItem.get(item);
+
+    const box = detection.bbox ? toCorners(detection.bbox) : null;
+    let object = box && objects.find((o) => o.box && iou(o.box, box) > iouThreshold);
+    if (!object) {
+      object = { box, fresh: 0, rotten: 0 };
+      objects.push(object);
+    }
+    const key = status === 'Rotten' ? 'rotten' : 'fresh';
+    object[key] = Math.max(object[key], detection.confidence);
+    if (detection.counterpartConfidence !== undefined) {
+      const other = key === 'fresh' ? 'rotten' : 'fresh';
+      object[other] = Math.max(object[other], detection.counterpartConfidence);
+    }
+  }
+
+  return [...byItem.entries()]
+    .map(([item, objects]) => {
+      const probability = (o) => (o.fresh + o.rotten ? o.fresh / (o.fresh + o.rotten) : 0.5);
+      const freshness = objects.reduce((sum, o) => sum + probability(o), 0) / objects.length;
+      return {
+        item,
+        count: objects.length,
+        freshness: round(freshness, 2),
+        status: freshness >= 0.5 ? 'fresh' : 'rotten',
+        confidence: round(Math.max(...objects.map((o) => Math.max(o.fresh, o.rotten))), 2),
+      };
+    })
+    .sort((a, b) => b.count - a.count || a.item.localeCompare(b.item));
+}
+
+module.exports = { summarizeFreshness, scoreFreshness };
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const { JsonStore } = require('./jsonStore');
+const { HttpError } = require('./errors');
+const { splitLabel } = require('./labels');
+const { summarizeFreshness } = require('./freshnessSummary');
+const { storageService } = require('./storageService');
+const { sniffImageType } = require('./imageSanitizer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HISTORY_MAX_ENTRIES = parseInt(process.env.HISTORY_MAX_ENTRIES, 10) || 5000;
+const HISTORY_RETENTION_DAYS = parseInt(process.env.HISTORY_RETENTION_DAYS, 10) || 365;
+// New entries are written to HISTORY_PATH in batches, at most this often.
+const HISTORY_SAVE_DELAY_MS = parseInt(process.env.HISTORY_SAVE_DELAY_MS, 10) || 1000;
+const INTERVALS = ['day', 'week', 'month'];
+const STATUSES = ['fresh', 'rotten'];
+const IMAGE_EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+const MAX_PAGE_SIZE = 100;
+
+function parseDate(value, name) {
+  if (value === undefined || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new HttpError(400, `${name} must be a valid date`);
+  return date;
+}
+
+function parsePositiveInt(value, name, fallback, max = Infinity) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw new HttpError(400, max === Infinity ? `${name} must be a positive integer` : `${name} must be an integer between 1 and ${max}`);
+  }
+  return number;
+}
+
+function ratio(part, total) {
+  return total ? Math.round((part / total) * 1000) / 1000 : null;
+}
+
+// Start of the UTC day / ISO week (Monday) / month containing `date`.
+function periodOf(date, interval) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  if (interval === 'month') d.setUTCDate(1);
+  return d.toISOString().slice(0, 10);
+}
+
+// "apples" / "Fresh_Apple" → "apple", matched against summary item names.
+function itemNameOf(item) {
+  const key = storageService.resolveKey(String(item), { defaultStatus: 'Fresh' });
+  return splitLabel(key || String(item)).item.toLowerCase();
+}
+
+function emptyCounts() {
+  return { fresh: 0, rotten: 0 };
+}
+
+function withRatio(counts) {
+  const total = counts.fresh + counts.rotten;
+  return { ...counts, total, rottenRatio: ratio(counts.rotten, total) };
+}
+
+// ==============================
+// HistoryService Class
+// ==============================
+// One entry per detected image: who asked (API key + optional user ID),
+// when, which model, and what was found. Images are only kept when the
+// request opts in with `storeImage`.
+class HistoryService {
+  constructor(filePath, imageDir) {
+    const defaultPath = path.join(__dirname, '../data/history.json');
+    this.store = new JsonStore(filePath || process.env.HISTORY_PATH || defaultPath, { entries: [] });
+    this.imageDir = imageDir || process.env.HISTORY_IMAGE_DIR || path.join(__dirname, '../data/history_images');
+  }
+
+  get entries() {
+    return this.store.data.entries;
+  }
+
+  // → the stored entry. `image` is only written when `storeImage` is set.
+  record({ clientId, userId = null, source = 'detect', detector, modelVersion, resultId = null, detections, image, storeImage = false }) {
+    const entry = {
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      clientId,
+      userId,
+      source,
+      detector,
+      modelVersion,
+      resultId,
+      detections: detections.map(({ label, confidence, bbox }) => ({ label, confidence, bbox })),
+      items: summarizeFreshness(detections).map(({ item, count, freshness, status }) => ({ item, count, freshness, status })),
+      image: null,
+    };
+
+    if (storeImage && image) {
+      const type = sniffImageType(image);
+      const filename = `${entry.id}.${IMAGE_EXTENSIONS[type] || 'bin'}`;
+      if (!fs.existsSync(this.imageDir)) fs.mkdirSync(this.imageDir, { recursive: true });
+      fs.writeFileSync(path.join(this.imageDir, filename), image);
+      entry.image = { filename, mimetype: `image/${type}`, size: image.length };
+    }
+
+    this.entries.push(entry);
+    this.trim();
+    this.store.saveSoon(HISTORY_SAVE_DELAY_MS);
+    return entry;
+  }
+
+  // Entries visible to `clientId` (all of them when it's undefined, for admins).
+  select({ clientId, userId, from, to, item, label, status } = {}) {
+    const fromDate = parseDate(from, 'from');
+    const toDate = parseDate(to, 'to');
+    if (status !== undefined && !STATUSES.includes(status)) {
+      throw new HttpError(400, `status must be one of: ${STATUSES.join(', ')}`);
+    }
+    const itemName = item ? itemNameOf(item) : null;
+
+    return this.entries.filter((entry) => {
+      if (clientId !== undefined && entry.clientId !== clientId) return false;
+      if (userId && entry.userId !== userId) return false;
+      const created = new Date(entry.createdAt);
+      if (fromDate && created < fromDate) return false;
+      if (toDate && created > toDate) return false;
+      if (label && !entry.detections.some((d) => d.label === label)) return false;
+      if (itemName || status) {
+        return entry.items.some(
+          (i) => (!itemName || i.item.toLowerCase() === itemName) && (!status || i.status === status)
+        );
+      }
+      return true;
+    });
+  }
+
+  // Newest first → { entries, pagination }
+  list(query = {}) {
+    const page = parsePositiveInt(query.page, 'page', 1);
+    const limit = parsePositiveInt(query.limit, 'limit', 20, MAX_PAGE_SIZE);
+    const matches = this.select(query).slice().reverse();
+    return {
+      entries: matches.slice((page - 1) * limit, page * limit),
+      pagination: { page, limit, total: matches.length, totalPages: Math.ceil(matches.length / limit) },
+    };
+  }
+
+  get(id, clientId) {
+    const entry = this.entries.find((e) => e.id === id);
+    if (!entry || (clientId !== undefined && entry.clientId !== clientId)) return null;
+    return entry;
+  }
+
+  imagePath(entry) {
+    return entry.image ? path.join(this.imageDir, entry.image.filename) : null;
+  }
+
+  remove(id, clientId) {
+    const entry = this.get(id, clientId);
+    if (!entry) return false;
+    this.deleteImage(entry);
+    this.store.data.entries = this.entries.filter((e) => e !== entry);
+    this.store.saveSoon(HISTORY_SAVE_DELAY_MS);
+    return true;
+  }
+
+  deleteImage(entry) {
+    const imagePath = this.imagePath(entry);
+    if (imagePath) fs.unlink(imagePath, () => {});
+  }
+
+  // ==============================
+  // Analytics
+  // ==============================
+  // Aggregates over the selected entries:
+  //   totals       scans and fresh/rotten objects
+  //   items        per item fresh/rotten counts and rotten ratio, most detected first
+  //   timeline     the same per day/week/month
+  //   waste        rotten objects, and the days of shelf life they would have had
+  //                when fresh (storage_data.json), as a rough measure of food lost
+  stats(query = {}) {
+    const interval = query.interval || 'day';
+    if (!INTERVALS.includes(interval)) throw new HttpError(400, `interval must be one of: ${INTERVALS.join(', ')}`);
+    const top = parsePositiveInt(query.top, 'top', 5, MAX_PAGE_SIZE);
+    const entries = this.select({ ...query, status: undefined });
+    const itemName = query.item ? itemNameOf(query.item) : null;
+
+    const totals = emptyCounts();
+    const items = new Map();
+    const timeline = new Map();
+    for (const entry of entries) {
+      const period = periodOf(new Date(entry.createdAt), interval);
+      if (!timeline.has(period)) timeline.set(period, { scans: 0, counts: emptyCounts(), items: new Map() });
+      const bucket = timeline.get(period);
+      bucket.scans += 1;
+
+      for (const { item, count, status } of entry.items) {
+        if (itemName && item.toLowerCase() !== itemName) continue;
+        if (!items.has(item)) items.set(item, emptyCounts());
+        if (!bucket.items.has(item)) bucket.items.set(item, emptyCounts());
+        for (const counts of [totals, items.get(item), bucket.counts, bucket.items.get(item)]) counts[status] += count;
+      }
+    }
+
+    const itemStats = [...items.entries()]
+      .map(([item, counts]) => ({ item, ...withRatio(counts) }))
+      .sort((a, b) => b.total - a.total || a.item.localeCompare(b.item));
+
+    const wasteByItem = itemStats
+      .filter((i) => i.rotten > 0)
+      .map(({ item, rotten }) => {
+        const storage = storageService.getStorageData(`Fresh_${item}`);
+        const shelfLife = storage && typeof storage.shelf_life === 'number' ? storage.shelf_life : null;
+        return { item, items: rotten, days: shelfLife === null ? null : rotten * shelfLife };
+      });
+
+    return {
+      interval,
+      totals: { scans: entries.length, ...withRatio(totals) },
+      mostDetected: itemStats.slice(0, top).map(({ item, total }) => ({ item, count: total })),
+      items: itemStats,
+      timeline: [...timeline.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([period, bucket]) => ({
+          period,
+          scans: bucket.scans,
+          ...withRatio(bucket.counts),
+          items: Object.fromEntries([...bucket.items.entries()].map(([item, counts]) => [item, withRatio(counts)])),
+        })),
+      waste: {
+        items: wasteByItem.reduce((sum, w) => sum + w.items, 0),
+        days: wasteByItem.reduce((sum, w) => sum + (w.days || 0), 0),
+        byItem: wasteByItem,
+      },
+    };
+  }
+
+  // Drop entries past the retention period, then the oldest beyond the cap.
+  trim(now = Date.now()) {
+    const cutoff = now - HISTORY_RETENTION_DAYS * DAY_MS;
+    const entries = this.entries;
+    let keepFrom = entries.findIndex((e) => new Date(e.createdAt).getTime() >= cutoff);
+    if (keepFrom === -1) keepFrom = entries.length;
+    keepFrom = Math.max(keepFrom, entries.length - HISTORY_MAX_ENTRIES);
+    if (keepFrom <= 0) return 0;
+
+    entries.slice(0, keepFrom).forEach((entry) => this.deleteImage(entry));
+    this.store.data.entries = entries.slice(keepFrom);
+    return keepFrom;
+  }
+
+  // Scheduler job
+  prune() {
+    const removed = this.trim();
+    if (removed) {
+      this.store.save();
+      console.log(`🧽 Removed ${removed} old history entries`);
+    }
+    return removed;
+  }
+}
+
+const historyService = new HistoryService();
+
+module.exports = { HistoryService, historyService };
@@ -1,120 +1,260 @@
-const ort = require("onnxruntime-node");
-const sharp = require("sharp");
-const Jimp = require("jimp");
 const fs = require("fs");
 const path = require("path");
+const { MockDetector } = require("./mockDetector");
+const { decodeYoloOutput } = require("./yoloDecoder");
+const preprocessor = require("./preprocessor");
+const { CLASS_NAMES } = require("./labels");
+const { DEFAULT_DETECTION_OPTIONS } = require("./detectionOptions");
+const { preprocessDuration, inferenceDuration, detectionsTotal } = require("./metrics");
 
 const MODEL_PATH = process.env.MODEL_PATH || path.join(__dirname, '../models/best.onnx');
-const CLASS_NAMES = [
-  "Fresh_Apple", "Fresh_Banana", "Fresh_Beef", "Fresh_Carrot", "Fresh_Chicken",
-  "Fresh_Cucumber", "Fresh_Manggo", "Fresh_Okra", "Fresh_Orange", "Fresh_Pepper",
-  "Fresh_Pork", "Fresh_Potato", "Fresh_Strawberry",
-  "Rotten_Apple", "Rotten_Banana", "Rotten_Beef", "Rotten_Carrot", "Rotten_Chicken",
-  "Rotten_Cucumber", "Rotten_Manggo", "Rotten_Okra", "Rotten_Orange", "Rotten_Pepper",
-  "Rotten_Pork", "Rotten_Potato", "Rotten_Strawberry"
-];
-
-let session = null;
-
-// Load ONNX model
-async function loadModel() {
-  if (!session) {
-    console.log(`📦 Loading YOLO model from: ${MODEL_PATH}`);
-    session = await ort.InferenceSession.create(MODEL_PATH, {
-      executionProviders: ["cpuExecutionProvider"],
-    });
-    console.log("✅ YOLO model loaded successfully!");
+// Sessions kept open per worker: the active model, an A/B candidate and
+// the one just replaced (so a rollback is instant).
+const MAX_SESSIONS = 3;
+
+// Used when no model descriptor is passed in (see modelRegistry.js for
+// the registry's { version, path, classNames, inputSize, outputFormat }).
+const DEFAULT_MODEL = {
+  version: null,
+  path: MODEL_PATH,
+  classNames: CLASS_NAMES,
+  inputSize: null,
+  outputFormat: "auto",
+};
+
+let ort = null;
+let sessionFactory = null;
+let mockDetector = null;
+let lastBackend = null;
+const sessions = new Map();
+const warnings = new Set();
+
+// onnxruntime-node is a native addon; load it lazily so the mock backend
+// keeps working on machines where it failed to install.
+function loadRuntime() {
+  if (!ort) ort = require("onnxruntime-node");
+  return ort;
+}
+
+// Create an ONNX session for a model descriptor, or whatever session-like
+// object ({ inputNames, inputMetadata, run(feeds) }) the injected factory
+// returns.
+async function createSession(model) {
+  loadRuntime();
+  if (sessionFactory) return sessionFactory(model);
+  return ort.InferenceSession.create(model.path, { executionProviders: ["cpu"] });
+}
+
+// Replace how sessions are created, e.g. with a fake in tests so no model
+// file is needed. `null` restores onnxruntime. Cached sessions are dropped.
+function setSessionFactory(factory) {
+  sessionFactory = factory;
+  sessions.clear();
+}
+
+// Load an ONNX model, reusing its session. Least recently used sessions
+// beyond MAX_SESSIONS are released.
+async function loadModel(model = DEFAULT_MODEL) {
+  const key = `${model.version}:${model.path}`;
+  if (!sessions.has(key)) {
+    console.log(`📦 Loading YOLO model ${model.version || ""} from: ${model.path}`);
+    const created = createSession(model);
+    sessions.set(key, created);
+    created.then(
+      () => console.log("✅ YOLO model loaded successfully!"),
+      () => sessions.delete(key)
+    );
+    while (sessions.size > MAX_SESSIONS) {
+      const [oldKey, oldSession] = sessions.entries().next().value;
+      sessions.delete(oldKey);
+      oldSession.then((session) => session.release()).catch(() => {});
+    }
+  } else {
+    const session = sessions.get(key);
+    sessions.delete(key);
+    sessions.set(key, session);
   }
-  return session;
+  return sessions.get(key);
 }
 
-// Preprocess image → tensor
-async function preprocessImage(imagePath) {
-  console.log(`🖼️ Preprocessing image: ${imagePath}`);
+// Preprocess image (file path or buffer) → { tensor, transform }. Letterboxed
+// to the model's input size (the manifest's `inputSize` wins over the
+// session metadata); `transform` maps boxes back onto the (upright) original.
+async function preprocessImage(image, session, model) {
+  console.log(`🖼️ Preprocessing image: ${Buffer.isBuffer(image) ? `${image.length} byte buffer` : image}`);
+  const inputSize = model.inputSize
+    ? { inputWidth: model.inputSize, inputHeight: model.inputSize }
+    : preprocessor.getInputSize(session);
+  const done = preprocessDuration.startTimer();
+  const { data, dims, transform } = await preprocessor.preprocessImage(image, inputSize);
+  done();
+  return { tensor: new ort.Tensor("float32", data, dims), transform };
+}
 
-  try {
-    const image = sharp(imagePath)
-      .resize(640, 640)
-      .toColorspace("srgb"); // ✅ Fix for Render/libvips issue
+// Postprocess YOLO output (v5 or v8 layout) into original-image detections
+function postprocess(output, transform, model, options = DEFAULT_DETECTION_OPTIONS, batchIndex = 0) {
+  return decodeYoloOutput(output, {
+    classNames: model.classNames,
+    transform,
+    confThreshold: options.confThreshold,
+    iouThreshold: options.iouThreshold,
+    maxDetections: options.maxDetections,
+    classes: options.classes,
+    format: model.outputFormat,
+    batchIndex,
+  });
+}
+
+async function timeInference(session, feeds, model) {
+  const done = inferenceDuration.startTimer({ model_version: model.version || "default" });
+  const outputs = await session.run(feeds);
+  done();
+  return outputs;
+}
+
+function countDetections(detections) {
+  for (const detection of detections) detectionsTotal.inc({ label: detection.label });
+  return detections;
+}
+
+// A model exported with a dynamic batch axis accepts [N, 3, H, W] inputs.
+function supportsBatching(session) {
+  const meta = session.inputMetadata && session.inputMetadata[0];
+  const batchDim = meta && meta.shape && meta.shape[0];
+  return typeof batchDim === "string" || batchDim === -1;
+}
+
+// ONNX YOLO backend
+const onnxDetector = {
+  name: "onnx",
+  load: loadModel,
+  async detect(image, options = DEFAULT_DETECTION_OPTIONS, model = DEFAULT_MODEL) {
+    const session = await loadModel(model);
+    const { tensor, transform } = await preprocessImage(image, session, model);
+    const feeds = { [session.inputNames[0]]: tensor };
+    const results = await timeInference(session, feeds, model);
 
-    const buffer = await image.raw().toBuffer({ resolveWithObject: true });
-    const { data, info } = buffer;
-    const floatArray = new Float32Array(info.width * info.height * 3);
+    const output = results[Object.keys(results)[0]];
+    return postprocess(output, transform, model, options);
+  },
+
+  // Detect on several images. Each entry is { detections } or { error } so
+  // one unreadable image doesn't fail the others.
+  async detectBatch(images, options = DEFAULT_DETECTION_OPTIONS, model = DEFAULT_MODEL) {
+    const session = await loadModel(model);
+    const results = new Array(images.length);
+    const prepared = [];
 
-    // Normalize pixels [0–1]
-    for (let i = 0; i < data.length; i++) {
-      floatArray[i] = data[i] / 255.0;
+    for (let i = 0; i < images.length; i++) {
+      try {
+        prepared.push({ index: i, ...(await preprocessImage(images[i], session, model)) });
+      } catch (err) {
+        results[i] = { error: err.message };
+      }
     }
+    if (!prepared.length) return results;
 
-    const tensor = new ort.Tensor("float32", floatArray, [1, 3, info.height, info.width]);
-    return tensor;
-  } catch (err) {
-    console.warn("❌ sharp processing failed, fallback to Jimp:", err.message);
-    const img = await Jimp.read(imagePath);
-    img.resize(640, 640);
-    const data = new Float32Array(3 * 640 * 640);
-    let idx = 0;
-
-    for (let y = 0; y < 640; y++) {
-      for (let x = 0; x < 640; x++) {
-        const { r, g, b } = Jimp.intToRGBA(img.getPixelColor(x, y));
-        data[idx++] = r / 255.0;
-        data[idx++] = g / 255.0;
-        data[idx++] = b / 255.0;
+    const inputName = session.inputNames[0];
+    if (supportsBatching(session) && prepared.length > 1) {
+      try {
+        const [, channels, height, width] = prepared[0].tensor.dims;
+        const size = channels * height * width;
+        const batch = new Float32Array(prepared.length * size);
+        prepared.forEach((item, b) => batch.set(item.tensor.data, b * size));
+
+        const input = new ort.Tensor("float32", batch, [prepared.length, channels, height, width]);
+        const outputs = await timeInference(session, { [inputName]: input }, model);
+        const output = outputs[Object.keys(outputs)[0]];
+        prepared.forEach((item, b) => {
+          results[item.index] = { detections: postprocess(output, item.transform, model, options, b) };
+        });
+        return results;
+      } catch (err) {
+        console.warn("⚠️ Batched inference failed, running images one by one:", err.message);
       }
     }
-    return new ort.Tensor("float32", data, [1, 3, 640, 640]);
-  }
-}
 
-// Postprocess YOLO output
-function postprocess(outputData, threshold = 0.25) {
-  const numDetections = outputData.length / (5 + CLASS_NAMES.length);
-  const detections = [];
-
-  for (let i = 0; i < numDetections; i++) {
-    const offset = i * (5 + CLASS_NAMES.length);
-    const x = outputData[offset];
-    const y = outputData[offset + 1];
-    const w = outputData[offset + 2];
-    const h = outputData[offset + 3];
-    const objectness = outputData[offset + 4];
-
-    let bestScore = 0;
-    let bestClass = -1;
-
-    // ✅ only consider valid class range
-    for (let j = 5; j < 5 + CLASS_NAMES.length; j++) {
-      if (j >= offset + (5 + CLASS_NAMES.length)) break;
-      if (outputData[offset + j] > bestScore) {
-        bestScore = outputData[offset + j];
-        bestClass = j - 5;
+    for (const item of prepared) {
+      try {
+        const outputs = await timeInference(session, { [inputName]: item.tensor }, model);
+        results[item.index] = {
+          detections: postprocess(outputs[Object.keys(outputs)[0]], item.transform, model, options),
+        };
+      } catch (err) {
+        results[item.index] = { error: err.message };
       }
     }
+    return results;
+  },
+};
 
-    const score = objectness * bestScore;
-    if (score > threshold) {
-      detections.push({
-        className: CLASS_NAMES[bestClass] || "Unknown",
-        confidence: score.toFixed(2),
-        bbox: [x, y, w, h],
-      });
+function getMockDetector() {
+  if (!mockDetector) mockDetector = new MockDetector({ classNames: CLASS_NAMES });
+  return mockDetector;
+}
+
+// Why `model` can't be run with ONNX here, or null if it can.
+function unavailableReason(model) {
+  if (!sessionFactory && !fs.existsSync(model.path)) return `no model at ${model.path}`;
+  try {
+    loadRuntime();
+  } catch (err) {
+    return `onnxruntime-node unavailable (${err.message})`;
+  }
+  return null;
+}
+
+// Pick the detector backend for `model`: DETECTOR=onnx|mock, or "auto"
+// (default) which falls back to the mock when the model or runtime is
+// unavailable.
+function getDetector(model = DEFAULT_MODEL) {
+  const mode = (process.env.DETECTOR || "auto").toLowerCase();
+  let selected;
+  if (mode === "mock") {
+    selected = getMockDetector();
+  } else if (mode === "onnx") {
+    selected = onnxDetector;
+  } else {
+    const reason = unavailableReason(model);
+    if (reason && !warnings.has(reason)) {
+      console.warn(`⚠️ ${reason}. Using mock detections for development.`);
+      warnings.add(reason);
     }
+    selected = reason ? getMockDetector() : onnxDetector;
   }
-  return detections;
+
+  if (selected.name !== lastBackend) console.log(`🔌 Detector backend: ${selected.name}`);
+  lastBackend = selected.name;
+  return selected;
 }
 
-// Main image processing
-async function processImage(filePath) {
-  const start = Date.now();
+// Per-request options (see detectionOptions.js) applied to any backend's
+// output, so the mock honours them too.
+function applyOptions(detections, options) {
+  return detections
+    .filter((d) => d.confidence >= options.confThreshold)
+    .filter((d) => !options.classes || options.classes.includes(d.label))
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, options.maxDetections);
+}
+
+// Uploaded files are deleted once processed; buffers are left alone.
+function removeInput(input) {
+  if (Buffer.isBuffer(input)) return;
   try {
-    const model = await loadModel();
-    const tensor = await preprocessImage(filePath);
-    const feeds = { images: tensor };
-    const results = await model.run(feeds);
+    fs.unlinkSync(input);
+  } catch {
+    console.warn("ℹ️ Uploaded file already deleted or missing:", input);
+  }
+}
 
-    const output = results[Object.keys(results)[0]];
-    const detections = postprocess(output.data);
+// Main image processing. `input` is an uploaded file path or an image
+// buffer; `model` a registry descriptor (defaults to MODEL_PATH).
+async function processImage(input, requestOptions = {}, model = DEFAULT_MODEL) {
+  const start = Date.now();
+  const options = { ...DEFAULT_DETECTION_OPTIONS, ...requestOptions };
+  try {
+    const detections = countDetections(applyOptions(await getDetector(model).detect(input, options, model), options));
 
     const duration = ((Date.now() - start) / 1000).toFixed(2);
     console.log(`✅ Detection complete: ${detections.length} objects found in ${duration}s`);
@@ -124,12 +264,50 @@ async function processImage(filePath) {
     console.error("❌ Detection error:", err);
     throw err;
   } finally {
-    try {
-      fs.unlinkSync(filePath);
-    } catch {
-      console.warn("ℹ️ Uploaded file already deleted or missing:", filePath);
+    removeInput(input);
+  }
+}
+
+// Batch image processing → [{ detections } | { error }] in input order
+async function processImages(inputs, requestOptions = {}, model = DEFAULT_MODEL) {
+  const start = Date.now();
+  const options = { ...DEFAULT_DETECTION_OPTIONS, ...requestOptions };
+  const active = getDetector(model);
+  try {
+    let results;
+    if (active.detectBatch) {
+      results = await active.detectBatch(inputs, options, model);
+    } else {
+      results = [];
+      for (const input of inputs) {
+        try {
+          results.push({ detections: await active.detect(input, options, model) });
+        } catch (err) {
+          results.push({ error: err.message });
+        }
+      }
     }
+    results = results.map((result) =>
+      result.detections ? { detections: countDetections(applyOptions(result.detections, options)) } : result
+    );
+
+    const duration = ((Date.now() - start) / 1000).toFixed(2);
+    const failed = results.filter((r) => r.error).length;
+    console.log(`✅ Batch detection complete: ${inputs.length} images (${failed} failed) in ${duration}s`);
+
+    return results;
+  } finally {
+    inputs.forEach(removeInput);
   }
 }
 
-module.exports = { processImage };
+module.exports = {
+  processImage,
+  processImages,
+  getDetector,
+  loadModel,
+  createSession,
+  setSessionFactory,
+  DEFAULT_MODEL,
+  CLASS_NAMES,
+};
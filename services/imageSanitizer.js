@@ -0,0 +1,144 @@
+const bytes = require('bytes');
+const sharp = require('sharp');
+require('dotenv').config();
+
+const { HttpError } = require('./errors');
+
+const MAX_FILE_SIZE = bytes.parse(process.env.MAX_FILE_SIZE || '10mb');
+const MAX_IMAGE_PIXELS = parseInt(process.env.MAX_IMAGE_PIXELS, 10) || 50 * 1000 * 1000;
+const MAX_IMAGE_DIMENSION = parseInt(process.env.MAX_IMAGE_DIMENSION, 10) || 12000;
+
+const SUPPORTED_TYPES = ['jpeg', 'png', 'webp', 'heic'];
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+// Re-encoded output per input type. HEIC is converted to JPEG since that
+// is what everything downstream (and most clients) can read.
+const OUTPUT = {
+  jpeg: { format: 'jpeg', extension: 'jpg', options: { quality: 90 } },
+  png: { format: 'png', extension: 'png', options: {} },
+  webp: { format: 'webp', extension: 'webp', options: { quality: 90 } },
+  heic: { format: 'jpeg', extension: 'jpg', options: { quality: 90 } },
+};
+
+// ==============================
+// Content sniffing
+// ==============================
+// Identify the image type from its magic bytes; the client's filename and
+// Content-Type are not trusted.
+function sniffImageType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  if (buffer.toString('latin1', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('latin1', 8, 12).replace(/\0/g, ' ').trim();
+    if (HEIF_BRANDS.includes(brand)) return 'heic';
+  }
+  return null;
+}
+
+// Reject decompression bombs from the header alone, before any pixels are decoded.
+function checkDimensions(width, height) {
+  if (!width || !height) throw new HttpError(415, 'Image dimensions could not be read');
+  if (width > MAX_IMAGE_DIMENSION || height > MAX_IMAGE_DIMENSION || width * height > MAX_IMAGE_PIXELS) {
+    throw new HttpError(
+      413,
+      `Image is too large (${width}x${height}). Images may be at most ${MAX_IMAGE_DIMENSION}px per side and ${MAX_IMAGE_PIXELS} pixels.`
+    );
+  }
+}
+
+// sharp's prebuilt libvips can't decode HEVC-coded HEIF, so HEIC goes
+// through libheif (WASM) to raw RGBA first.
+async function heicPipeline(buffer) {
+  const decodeHeic = require('heic-decode');
+  let images;
+  try {
+    images = await decodeHeic.all({ buffer });
+  } catch (err) {
+    throw new HttpError(415, `HEIC image could not be decoded: ${err.message}`);
+  }
+  try {
+    const [image] = images;
+    checkDimensions(image.width, image.height);
+    const { width, height, data } = await image.decode();
+    return sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), { raw: { width, height, channels: 4 } });
+  } finally {
+    images.dispose();
+  }
+}
+
+async function sharpPipeline(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    throw new HttpError(415, `Image could not be decoded: ${err.message}`);
+  }
+  checkDimensions(metadata.width, metadata.height);
+  // rotate() bakes the EXIF orientation into the pixels before the
+  // metadata is dropped.
+  return sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS, failOn: 'error' }).rotate();
+}
+
+// JSON image input: a data URI ("data:image/jpeg;base64,…") or bare base64.
+// The declared media type isn't trusted; sanitizeImage sniffs the bytes.
+function decodeBase64Image(value) {
+  if (typeof value !== 'string' || !value) {
+    throw new HttpError(400, 'image must be a base64 string or data URI');
+  }
+  const match = /^data:([\w.+-]+\/[\w.+-]+)?(;[\w-]+=[\w.-]+)*;base64,/i.exec(value);
+  const base64 = (match ? value.slice(match[0].length) : value).replace(/\s+/g, '');
+  if (!base64 || !/^[A-Za-z0-9+/_-]+={0,2}$/.test(base64)) {
+    throw new HttpError(400, 'image must be a base64 string or data URI');
+  }
+  if (Math.floor((base64.length * 3) / 4) > MAX_FILE_SIZE + 2) {
+    throw new HttpError(413, `Image is too large. Uploads may be at most ${bytes.format(MAX_FILE_SIZE)}.`);
+  }
+  return Buffer.from(base64, 'base64');
+}
+
+// ==============================
+// Sanitization
+// ==============================
+// Validate an uploaded image and re-encode it. sharp writes no metadata
+// unless asked to, so EXIF (including GPS), XMP and IPTC are stripped.
+// → { buffer, type, format, extension, mimetype, width, height }
+async function sanitizeImage(buffer) {
+  if (buffer.length > MAX_FILE_SIZE) {
+    throw new HttpError(413, `Image is too large. Uploads may be at most ${bytes.format(MAX_FILE_SIZE)}.`);
+  }
+  const type = sniffImageType(buffer);
+  if (!type) {
+    throw new HttpError(415, 'Unsupported image type. Upload a JPEG, PNG, WebP or HEIC image.');
+  }
+
+  const pipeline = type === 'heic' ? await heicPipeline(buffer) : await sharpPipeline(buffer);
+  const output = OUTPUT[type];
+  try {
+    const { data, info } = await pipeline
+      .toFormat(output.format, output.options)
+      .toBuffer({ resolveWithObject: true });
+    return {
+      buffer: data,
+      type,
+      format: output.format,
+      extension: output.extension,
+      mimetype: `image/${output.format}`,
+      width: info.width,
+      height: info.height,
+    };
+  } catch (err) {
+    throw new HttpError(415, `Image could not be decoded: ${err.message}`);
+  }
+}
+
+module.exports = {
+  sanitizeImage,
+  decodeBase64Image,
+  sniffImageType,
+  SUPPORTED_TYPES,
+  MAX_FILE_SIZE,
+  MAX_IMAGE_PIXELS,
+  MAX_IMAGE_DIMENSION,
+};
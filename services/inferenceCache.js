@@ -0,0 +1,302 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+require('dotenv').config();
+
+const { removeFiles } = require('./workerPool');
+const { metrics } = require('./metrics');
+
+const CACHE_SIZE = process.env.INFERENCE_CACHE_SIZE === '0' ? 0 : parseInt(process.env.INFERENCE_CACHE_SIZE, 10) || 500;
+const CACHE_TTL_MS = parseInt(process.env.INFERENCE_CACHE_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+const CACHE_DIR = process.env.INFERENCE_CACHE_DIR || null;
+const DISK_MAX_ENTRIES = parseInt(process.env.INFERENCE_CACHE_DISK_MAX_ENTRIES, 10) || 10000;
+
+const cacheLookups = metrics.counter({
+  name: 'inference_cache_lookups_total',
+  help: 'Inference cache lookups per image by result (memory_hit, disk_hit, similar_miss, miss, bypass).',
+  labelNames: ['result'],
+});
+
+// ==============================
+// Image hashes
+// ==============================
+function contentHash(image) {
+  return crypto.createHash('sha256').update(image).digest('hex');
+}
+
+// Difference hashes of the upright image, across rows and down columns
+// (128 bits), survive re-encoding and metadata changes, unlike the content
+// hash. Low-detail images all hash alike, so the mean colour is appended,
+// and so are the upright pixel dimensions: "<32 hex>:<rgb>:<width>x<height>".
+// Only used to count near-duplicate uploads; similar-looking photos can
+// share a hash, so it never picks the detections that are returned.
+async function perceptualHash(image) {
+  const { width, height, orientation } = await sharp(image).metadata();
+  const { data } = await sharp(image)
+    .rotate()
+    .removeAlpha()
+    .resize(9, 9, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const luma = (x, y) => {
+    const i = (y * 9 + x) * 3;
+    return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  };
+  let bits = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits = (bits << 2n) | (luma(x, y) > luma(x + 1, y) ? 2n : 0n) | (luma(x, y) > luma(x, y + 1) ? 1n : 0n);
+    }
+  }
+
+  const mean = [0, 1, 2].map((c) => {
+    let sum = 0;
+    for (let i = c; i < data.length; i += 3) sum += data[i];
+    // Quantised to 16 levels, as decoders round JPEG colours slightly differently.
+    return (Math.round(sum / (data.length / 3)) >> 4).toString(16);
+  });
+  const [uprightWidth, uprightHeight] = orientation >= 5 ? [height, width] : [width, height];
+  return `${bits.toString(16).padStart(32, '0')}:${mean.join('')}:${uprightWidth}x${uprightHeight}`;
+}
+
+// Results depend on the model and on the options applied during inference;
+// presentation options (summary, annotate, storeImage) don't matter.
+function scopeOf({ model, options = {} }) {
+  const { confThreshold, iouThreshold, maxDetections, classes } = options;
+  const version = model && model.version ? model.version : 'default';
+  return `${version}|${JSON.stringify([confThreshold, iouThreshold, maxDetections, classes || null])}`;
+}
+
+// Only the payload fields for the images at `indexes`.
+function subsetPayload(payload, indexes) {
+  const pick = (list) => list && indexes.map((i) => list[i]);
+  return { ...payload, filePaths: pick(payload.filePaths), buffers: pick(payload.buffers) };
+}
+
+// ==============================
+// InferenceCache Class
+// ==============================
+// Detection results per image, so rescans and retries skip inference.
+// Looked up by exact content hash, scoped to the model version and the
+// inference options; any other image is detected again, as its boxes would
+// belong to another picture. Misses whose perceptual hash matches a cached
+// image are counted as `similar_miss`. LRU in memory; with a directory
+// configured, entries are also written to disk, one file per content key,
+// and survive restarts. Entries expire after `ttlMs` in both tiers.
+class InferenceCache {
+  constructor({ size = CACHE_SIZE, ttlMs = CACHE_TTL_MS, dir = CACHE_DIR } = {}) {
+    this.size = size;
+    this.ttlMs = ttlMs;
+    this.dir = dir;
+    this.entries = new Map(); // contentKey → entry, least recently used first
+    this.perceptual = new Map(); // perceptualKey → contentKey
+  }
+
+  get enabled() {
+    return this.size > 0;
+  }
+
+  // ==============================
+  // Memory tier
+  // ==============================
+  touch(entry, now = Date.now()) {
+    if (entry.expiresAt <= now) {
+      this.delete(entry);
+      return null;
+    }
+    this.entries.delete(entry.contentKey);
+    this.entries.set(entry.contentKey, entry);
+    return entry;
+  }
+
+  delete(entry) {
+    this.entries.delete(entry.contentKey);
+    if (this.perceptual.get(entry.perceptualKey) === entry.contentKey) this.perceptual.delete(entry.perceptualKey);
+  }
+
+  remember(entry) {
+    const previous = this.entries.get(entry.contentKey);
+    if (previous) this.delete(previous);
+    this.entries.set(entry.contentKey, entry);
+    if (entry.perceptualKey) this.perceptual.set(entry.perceptualKey, entry.contentKey);
+    while (this.entries.size > this.size) this.delete(this.entries.values().next().value);
+  }
+
+  // ==============================
+  // Disk tier
+  // ==============================
+  filePath(contentKey) {
+    return path.join(this.dir, `${crypto.createHash('sha256').update(contentKey).digest('hex')}.json`);
+  }
+
+  async readDisk(contentKey) {
+    if (!this.dir) return null;
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(this.filePath(contentKey), 'utf8'));
+      return entry.contentKey === contentKey && entry.expiresAt > Date.now() ? entry : null;
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn('⚠️ Could not read inference cache entry:', err.message);
+      return null;
+    }
+  }
+
+  async writeDisk(entry) {
+    if (!this.dir) return;
+    try {
+      await fs.promises.mkdir(this.dir, { recursive: true });
+      const filePath = this.filePath(entry.contentKey);
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmpPath, JSON.stringify(entry));
+      await fs.promises.rename(tmpPath, filePath);
+    } catch (err) {
+      console.warn('⚠️ Could not write inference cache entry:', err.message);
+    }
+  }
+
+  // ==============================
+  // Lookup / store
+  // ==============================
+  // → { keys, value, tier } where `value` is the cached worker result for
+  // one image ({ detections, detector, modelVersion }) or null on a miss.
+  async lookup(image, scope, { bypass = false } = {}) {
+    const keys = { scope, contentKey: `${scope}|${contentHash(image)}`, perceptualKey: await this.perceptualKeyOf(image, scope) };
+    if (bypass) return { keys, value: null, tier: 'bypass' };
+
+    const byContent = this.entries.get(keys.contentKey);
+    const memory = byContent && this.touch(byContent);
+    if (memory) return { keys, value: memory.value, tier: 'memory' };
+
+    const disk = await this.readDisk(keys.contentKey);
+    if (disk) {
+      this.remember({ ...disk, perceptualKey: keys.perceptualKey });
+      return { keys, value: disk.value, tier: 'disk' };
+    }
+    const similar = keys.perceptualKey && this.perceptual.has(keys.perceptualKey);
+    return { keys, value: null, tier: similar ? 'similar_miss' : 'miss' };
+  }
+
+  // Null for images sharp can't read; the Jimp fallback may still detect them.
+  async perceptualKeyOf(image, scope) {
+    try {
+      return `${scope}|${await perceptualHash(image)}`;
+    } catch (err) {
+      console.warn('⚠️ Could not hash image for the inference cache:', err.message);
+      return null;
+    }
+  }
+
+  store(keys, value) {
+    const entry = { ...keys, value: structuredClone(value), expiresAt: Date.now() + this.ttlMs };
+    this.remember(entry);
+    return this.writeDisk(entry);
+  }
+
+  // ==============================
+  // Cached detection
+  // ==============================
+  // Drop-in for pool.run(payload) that answers cached images itself and
+  // sends only the rest to the pool. `images` are the image buffers in
+  // payload order. Each image's result gets `cached: true|false`.
+  async detect(pool, payload, images, { bypass = false, onStart } = {}) {
+    if (!this.enabled) {
+      const result = await pool.run(payload, { onStart });
+      return payload.batch
+        ? { ...result, results: result.results.map((r) => (r.error ? r : { ...r, cached: false })) }
+        : { ...result, cached: false };
+    }
+
+    const scope = scopeOf(payload);
+    let lookups;
+    try {
+      lookups = await Promise.all(images.map((image) => this.lookup(image, scope, { bypass })));
+    } catch (err) {
+      // A failed lookup only costs an inference.
+      console.warn('⚠️ Inference cache lookup failed:', err.message);
+      lookups = images.map(() => ({ keys: null, value: null, tier: 'miss' }));
+    }
+    for (const { tier } of lookups) cacheLookups.inc({ result: tier === 'memory' || tier === 'disk' ? `${tier}_hit` : tier });
+
+    const misses = lookups.map((lookup, i) => (lookup.value ? null : i)).filter((i) => i !== null);
+    const hits = lookups.map((lookup, i) => (lookup.value ? i : null)).filter((i) => i !== null);
+    removeFiles(hits.map((i) => payload.filePaths && payload.filePaths[i]).filter(Boolean));
+
+    let fresh = null;
+    if (misses.length) {
+      fresh = await pool.run(subsetPayload(payload, misses), { onStart });
+    } else if (onStart) {
+      onStart();
+    }
+
+    const freshResults = fresh ? (payload.batch ? fresh.results : [{ detections: fresh.detections }]) : [];
+    const perImage = lookups.map((lookup) => ({ detections: lookup.value && structuredClone(lookup.value.detections), cached: true }));
+    await Promise.all(
+      misses.map((imageIndex, i) => {
+        const result = freshResults[i];
+        perImage[imageIndex] = result.error ? result : { detections: result.detections, cached: false };
+        if (result.error || !lookups[imageIndex].keys) return null;
+        const { detector, modelVersion } = fresh;
+        return this.store(lookups[imageIndex].keys, { detections: result.detections, detector, modelVersion });
+      })
+    );
+
+    const source = fresh || lookups[0].value;
+    const { detector, modelVersion } = source;
+    return payload.batch
+      ? { results: perImage, detector, modelVersion }
+      : { ...perImage[0], detector, modelVersion };
+  }
+
+  // ==============================
+  // Maintenance
+  // ==============================
+  // Scheduler job: drop expired entries, and on disk also the oldest
+  // beyond `maxDiskEntries`.
+  async prune({ now = Date.now(), maxDiskEntries = DISK_MAX_ENTRIES } = {}) {
+    let removed = 0;
+    for (const entry of [...this.entries.values()]) {
+      if (entry.expiresAt <= now) {
+        this.delete(entry);
+        removed++;
+      }
+    }
+    if (!this.dir || !fs.existsSync(this.dir)) return removed;
+
+    const files = [];
+    for (const name of await fs.promises.readdir(this.dir)) {
+      if (!name.endsWith('.json')) continue;
+      const filePath = path.join(this.dir, name);
+      const stats = await fs.promises.stat(filePath).catch(() => null);
+      if (stats) files.push({ filePath, mtimeMs: stats.mtimeMs });
+    }
+    files.sort((a, b) => b.mtimeMs - a.mtimeMs);
+    for (const [i, file] of files.entries()) {
+      if (i >= maxDiskEntries || file.mtimeMs + this.ttlMs <= now) {
+        await fs.promises.unlink(file.filePath).catch(() => {});
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async clear() {
+    const removed = this.entries.size;
+    this.entries.clear();
+    this.perceptual.clear();
+    if (this.dir && fs.existsSync(this.dir)) {
+      for (const name of await fs.promises.readdir(this.dir)) {
+        if (name.endsWith('.json')) await fs.promises.unlink(path.join(this.dir, name)).catch(() => {});
+      }
+    }
+    return removed;
+  }
+
+  stats() {
+    return { enabled: this.enabled, entries: this.entries.size, maxEntries: this.size, ttlMs: this.ttlMs, disk: Boolean(this.dir) };
+  }
+}
+
+const inferenceCache = new InferenceCache();
+
+module.exports = { InferenceCache, inferenceCache, perceptualHash, contentHash };
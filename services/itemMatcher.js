@@ -0,0 +1,147 @@
+// ==============================
+// Item name matching
+// ==============================
+// Maps free-text item names ("apples", "bell pepper", "mangga", "stawberry")
+// onto the base item names used in storage keys ("Apple", "Pepper", ...).
+
+// Common names that don't match a storage key directly. Values are base
+// item names as used after the Fresh_/Rotten_ prefix.
+const ITEM_ALIASES = {
+  mango: 'Manggo',
+  'bell pepper': 'Pepper',
+  'sweet pepper': 'Pepper',
+  capsicum: 'Pepper',
+  paprika: 'Pepper',
+  'ground beef': 'Beef',
+  steak: 'Beef',
+  'minced beef': 'Beef',
+  'chicken breast': 'Chicken',
+  'chicken thigh': 'Chicken',
+  'pork chop': 'Pork',
+  bacon: 'Pork',
+  'lady finger': 'Okra',
+  "lady's finger": 'Okra',
+  'sweet potato': 'Potato',
+  spud: 'Potato',
+  mandarin: 'Orange',
+  tangerine: 'Orange',
+  gherkin: 'Cucumber',
+};
+
+const DEFAULT_THRESHOLD = 0.75;
+
+// Lowercase, strip accents and punctuation, treat _ and - as spaces.
+function normalizeTerm(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[_-]+/g, ' ')
+    .replace(/[^a-z0-9' ]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// English plural → singular for the last word ("strawberries", "potatoes").
+function singularize(term) {
+  return term.replace(/(\w+)$/, (word) => {
+    if (word.length <= 3) return word;
+    if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (/(oes|ches|shes|sses|xes)$/.test(word)) return word.slice(0, -2);
+    if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+  });
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// 1 for identical strings, 0 for nothing in common.
+function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest ? 1 - levenshtein(a, b) / longest : 1;
+}
+
+// Split an optional freshness prefix off a query: "rotten apples" → Rotten + "apples".
+function splitStatus(query) {
+  const match = /^(fresh|rotten)[ _]+(.+)$/i.exec(String(query).trim());
+  if (!match) return { status: null, name: query };
+  const status = match[1].toLowerCase() === 'fresh' ? 'Fresh' : 'Rotten';
+  return { status, name: match[2] };
+}
+
+// ==============================
+// ItemMatcher Class
+// ==============================
+// `terms` maps a normalized term to { item, source } where source is
+// "name", "alias" or "translation".
+class ItemMatcher {
+  constructor({ items = [], aliases = ITEM_ALIASES, translations = {}, threshold = DEFAULT_THRESHOLD } = {}) {
+    this.threshold = threshold;
+    this.terms = new Map();
+    const add = (term, item, source) => {
+      const key = normalizeTerm(term);
+      if (key && !this.terms.has(key) && items.includes(item)) this.terms.set(key, { item, source });
+    };
+
+    for (const item of items) add(item, item, 'name');
+    for (const [alias, item] of Object.entries(aliases)) add(alias, item, 'alias');
+    for (const [item, names] of Object.entries(translations)) {
+      for (const name of names) add(name, item, 'translation');
+    }
+  }
+
+  // Ranked candidates for a query: [{ item, score, matchedOn, term }]
+  search(query, { limit = 5, threshold = 0 } = {}) {
+    const raw = normalizeTerm(query);
+    if (!raw) return [];
+    const variants = [...new Set([raw, singularize(raw)])];
+    const best = new Map();
+
+    for (const [term, { item, source }] of this.terms) {
+      let score = 0;
+      for (const variant of variants) {
+        if (variant === term) score = Math.max(score, 1);
+        else score = Math.max(score, similarity(variant, term));
+      }
+      if (score === 1 && source !== 'name') score = 0.99; // prefer direct names on ties
+      const matchedOn = score >= 0.99 ? source : 'fuzzy';
+
+      const current = best.get(item);
+      if (!current || score > current.score) best.set(item, { item, score, matchedOn, term });
+    }
+
+    return [...best.values()]
+      .filter((candidate) => candidate.score >= threshold)
+      .sort((a, b) => b.score - a.score || a.item.localeCompare(b.item))
+      .slice(0, limit)
+      .map((candidate) => ({ ...candidate, score: Number(candidate.score.toFixed(3)) }));
+  }
+
+  // Best match above the similarity threshold, or null.
+  resolve(query) {
+    const [best] = this.search(query, { limit: 1, threshold: this.threshold });
+    return best || null;
+  }
+}
+
+module.exports = {
+  ItemMatcher,
+  ITEM_ALIASES,
+  DEFAULT_THRESHOLD,
+  normalizeTerm,
+  singularize,
+  similarity,
+  splitStatus,
+};
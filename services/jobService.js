@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+require('dotenv').config();
+
+const { HttpError } = require('./errors');
+const { detectionPool, removeFiles } = require('./workerPool');
+
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS, 10) || 60 * 60 * 1000;
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+// ==============================
+// JobService Class
+// ==============================
+// Asynchronous detection jobs. A job is queued on the worker pool and
+// moves queued → running → completed | failed; every transition is emitted
+// as a "job" event for Server-Sent Events subscribers. Jobs live in memory
+// and are dropped JOB_TTL_MS after they finish.
+class JobService extends EventEmitter {
+  constructor(pool = detectionPool) {
+    super();
+    this.pool = pool;
+    this.jobs = new Map();
+    this.setMaxListeners(0);
+  }
+
+  // `finalize` turns the worker's raw result into the job result (e.g. the
+  // same body /api/detect would have returned). It may return a promise.
+  // `run` replaces pool.run(payload, { onStart }), e.g. to go through the
+  // inference cache. `clientId` owns the job (see scopeOf); only the same
+  // owner can read it back.
+  submit({ type = 'detect', payload, finalize = (result) => result, run = (options) => this.pool.run(payload, options), clientId = null }) {
+    if (this.pool.isFull()) {
+      removeFiles(payload.filePaths);
+      throw new HttpError(429, 'Detection queue is full, try again later');
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      clientId,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+    };
+    this.jobs.set(job.id, job);
+
+    Promise.resolve()
+      .then(() => run({ onStart: () => this.update(job, { status: 'running', startedAt: new Date().toISOString() }) }))
+      .then(finalize)
+      .then((result) => this.update(job, { status: 'completed', result }))
+      .catch((err) => this.update(job, { status: 'failed', error: { status: err.status || 500, message: err.message } }));
+
+    return job;
+  }
+
+  update(job, changes) {
+    Object.assign(job, changes);
+    if (this.isFinished(job)) job.finishedAt = new Date().toISOString();
+    this.emit('job', job);
+  }
+
+  getJob(id, clientId) {
+    const job = this.jobs.get(id);
+    return job && job.clientId === clientId ? job : null;
+  }
+
+  isFinished(job) {
+    return job.status === 'completed' || job.status === 'failed';
+  }
+
+  // Scheduler job: forget finished jobs older than the TTL.
+  prune(now = Date.now()) {
+    let removed = 0;
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && now - new Date(job.finishedAt).getTime() > JOB_TTL_MS) {
+        this.jobs.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  stats() {
+    const counts = Object.fromEntries(JOB_STATUSES.map((status) => [status, 0]));
+    for (const job of this.jobs.values()) counts[job.status]++;
+    return { jobs: counts, pool: this.pool.stats() };
+  }
+}
+
+const jobService = new JobService();
+
+module.exports = {
+  JobService,
+  jobService,
+  JOB_STATUSES,
+  JOB_TTL_MS,
+};
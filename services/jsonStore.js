@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+
+// ==============================
+// JsonStore Class
+// ==============================
+// Small file-backed document: the whole value lives in memory and every
+// save() rewrites the file atomically (temp file + rename). Stores written
+// on every request use saveSoon() instead, which coalesces changes into at
+// most one asynchronous write per `delayMs`.
+class JsonStore {
+  constructor(filePath, defaults) {
+    this.filePath = filePath;
+    this.defaults = defaults;
+    this.data = this.load();
+    this.timer = null;
+    this.writing = Promise.resolve();
+    this.inFlight = 0;
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      }
+    } catch (err) {
+      console.error(`❌ Error loading ${this.filePath}:`, err.message);
+    }
+    return JSON.parse(JSON.stringify(this.defaults));
+  }
+
+  save() {
+    this.cancelPending();
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  // Writes the data within `delayMs`, together with any other changes made
+  // meanwhile. Pending changes are also written when the process exits.
+  saveSoon(delayMs = 1000) {
+    if (this.timer) return;
+    if (!this.onExit) {
+      this.onExit = () => this.flush();
+      process.once('exit', this.onExit);
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.inFlight++;
+      // Writes run one at a time so an older one can't land last.
+      this.writing = this.writing.then(() => this.writeAsync()).catch((err) => {
+        console.error(`❌ Error saving ${this.filePath}:`, err.message);
+      }).finally(() => {
+        this.inFlight--;
+      });
+    }, delayMs);
+    this.timer.unref();
+  }
+
+  async writeAsync() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.${process.pid}.async.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(this.data, null, 2));
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+
+  // Writes pending changes right away (synchronously), including any an
+  // unfinished asynchronous write was about to store.
+  flush() {
+    if (this.timer || this.inFlight > 0) this.save();
+  }
+
+  cancelPending() {
+    if (!this.timer) return;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = { JsonStore };
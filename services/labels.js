@@ -0,0 +1,38 @@
+// ==============================
+// Model labels
+// ==============================
+// Class names in model output order. Every label is "<Status>_<Item>",
+// where Status is Fresh or Rotten.
+const CLASS_NAMES = [
+  'Fresh_Apple', 'Fresh_Banana', 'Fresh_Beef', 'Fresh_Carrot', 'Fresh_Chicken',
+  'Fresh_Cucumber', 'Fresh_Manggo', 'Fresh_Okra', 'Fresh_Orange', 'Fresh_Pepper',
+  'Fresh_Pork', 'Fresh_Potato', 'Fresh_Strawberry',
+  'Rotten_Apple', 'Rotten_Banana', 'Rotten_Beef', 'Rotten_Carrot', 'Rotten_Chicken',
+  'Rotten_Cucumber', 'Rotten_Manggo', 'Rotten_Okra', 'Rotten_Orange', 'Rotten_Pepper',
+  'Rotten_Pork', 'Rotten_Potato', 'Rotten_Strawberry'
+];
+
+// Food groups, used for class filters like `classes=meat`.
+const ITEM_CATEGORIES = {
+  meat: ['Beef', 'Chicken', 'Pork'],
+  fruit: ['Apple', 'Banana', 'Manggo', 'Orange', 'Strawberry'],
+  vegetable: ['Carrot', 'Cucumber', 'Okra', 'Pepper', 'Potato'],
+};
+
+// "Rotten_Apple" → { status: "Rotten", item: "Apple" }
+function splitLabel(label) {
+  const index = label.indexOf('_');
+  if (index === -1) return { status: null, item: label };
+  return { status: label.slice(0, index), item: label.slice(index + 1) };
+}
+
+function categoryOf(item) {
+  return Object.keys(ITEM_CATEGORIES).find((category) => ITEM_CATEGORIES[category].includes(item)) || null;
+}
+
+module.exports = {
+  CLASS_NAMES,
+  ITEM_CATEGORIES,
+  splitLabel,
+  categoryOf,
+};
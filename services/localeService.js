@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const DEFAULT_LOCALE = 'en';
+const TRANSLATABLE_FIELDS = ['storage', 'tips', 'signs_of_spoilage', 'waste_disposal'];
+
+// ==============================
+// LocaleService Class
+// ==============================
+// Each data/locales/<code>.json holds display names for item labels, unit
+// words and (for non-English locales) per-entry overlays of the
+// translatable storage fields. Anything missing falls back to English.
+class LocaleService {
+  constructor(localesPath) {
+    const defaultPath = path.join(__dirname, '../data/locales');
+    this.localesPath = localesPath || process.env.LOCALES_PATH || defaultPath;
+    this.locales = this.loadLocales();
+  }
+
+  loadLocales() {
+    const locales = {};
+    try {
+      for (const file of fs.readdirSync(this.localesPath)) {
+        if (path.extname(file) !== '.json') continue;
+        const code = path.basename(file, '.json');
+        locales[code] = JSON.parse(fs.readFileSync(path.join(this.localesPath, file), 'utf8'));
+      }
+    } catch (err) {
+      console.error('❌ Error loading locales:', err.message);
+    }
+    if (!locales[DEFAULT_LOCALE]) locales[DEFAULT_LOCALE] = {};
+    return locales;
+  }
+
+  get supportedLocales() {
+    return Object.keys(this.locales);
+  }
+
+  // `?lang=` wins over Accept-Language; unsupported values fall through.
+  resolveLocale(req) {
+    const requested = typeof req.query.lang === 'string' ? req.query.lang.toLowerCase().split(/[-_]/)[0] : null;
+    if (requested && this.locales[requested]) return requested;
+    const accepted = req.acceptsLanguages(...this.supportedLocales);
+    return accepted && req.get('Accept-Language') ? accepted : DEFAULT_LOCALE;
+  }
+
+  lookup(locale, section, key) {
+    const localized = this.locales[locale] && this.locales[locale][section];
+    if (localized && localized[key] !== undefined) return localized[key];
+    const fallback = this.locales[DEFAULT_LOCALE][section];
+    return fallback ? fallback[key] : undefined;
+  }
+
+  // "Fresh_Manggo" → "Fresh Mango" / "Mangga Segar" / "Mango fresco"
+  displayName(label, locale = DEFAULT_LOCALE) {
+    const name = this.lookup(locale, 'labels', label);
+    if (name) return name;
+    const [status, ...rest] = label.split('_');
+    if (!rest.length) return this.lookup(locale, 'names', label) || label;
+    const item = rest.join('_');
+    return `${status} ${this.lookup(locale, 'names', item) || item.replace(/_/g, ' ')}`;
+  }
+
+  localizeEntry(label, entry, locale = DEFAULT_LOCALE) {
+    if (!entry) return entry;
+    const overlay = (this.locales[locale] && this.locales[locale].entries && this.locales[locale].entries[label]) || {};
+    const localized = { ...entry, display_name: this.displayName(label, locale) };
+    for (const field of TRANSLATABLE_FIELDS) {
+      if (overlay[field] !== undefined && entry[field] !== null && entry[field] !== undefined) {
+        localized[field] = overlay[field];
+      }
+    }
+    return localized;
+  }
+
+  // { Apple: ['Apple', 'Apel', 'Manzana'], ... } across all locales.
+  itemNameTranslations() {
+    const translations = {};
+    for (const locale of Object.values(this.locales)) {
+      for (const [item, name] of Object.entries(locale.names || {})) {
+        (translations[item] = translations[item] || []).push(name);
+      }
+    }
+    return translations;
+  }
+
+  unitWords(locale = DEFAULT_LOCALE) {
+    return { ...this.locales[DEFAULT_LOCALE].units, ...(this.locales[locale] && this.locales[locale].units) };
+  }
+}
+
+const localeService = new LocaleService();
+
+module.exports = {
+  LocaleService,
+  localeService,
+  DEFAULT_LOCALE,
+};
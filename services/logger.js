@@ -0,0 +1,74 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const util = require('util');
+const { isMainThread, threadId } = require('worker_threads');
+require('dotenv').config();
+
+// "json" for one JSON object per line; anything else is a morgan format
+// for the access log, with console output left as it is.
+const LOG_FORMAT = process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'dev');
+const LEVELS = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+
+// Carries { requestId } through everything a request triggers.
+const requestContext = new AsyncLocalStorage();
+
+function currentRequestId() {
+  const store = requestContext.getStore();
+  return store ? store.requestId : undefined;
+}
+
+// The emoji prefixes are for humans reading a terminal.
+function stripEmoji(message) {
+  return message.replace(/^(\p{Extended_Pictographic}|️|\s)+/u, '');
+}
+
+function serializeError(err) {
+  const error = { name: err.name, message: err.message, stack: err.stack };
+  if (err.status) error.status = err.status;
+  return error;
+}
+
+// → one JSON line: { time, level, msg, requestId?, thread?, error?, ...fields }
+function formatEntry(level, args, fields = {}) {
+  const error = args.find((arg) => arg instanceof Error);
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: stripEmoji(util.format(...args.filter((arg) => arg !== error))).replace(/:\s*$/, ''),
+  };
+  const requestId = fields.requestId || currentRequestId();
+  if (requestId) entry.requestId = requestId;
+  if (!isMainThread) entry.thread = threadId;
+  if (error) entry.error = serializeError(error);
+  return JSON.stringify({ ...entry, ...fields });
+}
+
+// ==============================
+// 🪵 Structured logging
+// ==============================
+// With LOG_FORMAT=json every console call becomes a JSON line tagged with
+// the current request ID, so existing log statements need no changes.
+function setupLogging() {
+  if (LOG_FORMAT !== 'json') return;
+  for (const [method, level] of Object.entries(LEVELS)) {
+    const stream = level === 'warn' || level === 'error' ? process.stderr : process.stdout;
+    console[method] = (...args) => stream.write(`${formatEntry(level, args)}\n`);
+  }
+}
+
+// A log line with extra fields (e.g. the access log).
+function logEvent(level, message, fields = {}) {
+  if (LOG_FORMAT !== 'json') {
+    console[level === 'info' ? 'log' : level](message, fields);
+    return;
+  }
+  const stream = level === 'warn' || level === 'error' ? process.stderr : process.stdout;
+  stream.write(`${formatEntry(level, [message], fields)}\n`);
+}
+
+module.exports = {
+  LOG_FORMAT,
+  requestContext,
+  currentRequestId,
+  setupLogging,
+  logEvent,
+};
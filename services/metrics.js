@@ -0,0 +1,219 @@
+const { isMainThread } = require('worker_threads');
+
+const PREFIX = 'freshtrack_';
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// Label values are escaped as the text format requires.
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((name) => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function labelsFromKey(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+// ==============================
+// Metric types
+// ==============================
+// Minimal Prometheus counters, gauges and histograms. Worker threads have
+// their own copy of this module, so there each update is queued instead
+// and shipped to the main thread with the task result (see drainEvents /
+// applyEvents); /metrics is served from the main thread's values.
+class Metric {
+  constructor(registry, { name, help, type, labelNames = [] }) {
+    this.registry = registry;
+    this.name = PREFIX + name;
+    this.help = help;
+    this.type = type;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  record(method, labels, value) {
+    if (!isMainThread) {
+      this.registry.pending.push([this.name, method, labels, value]);
+      return;
+    }
+    this[`${method}Now`](labelKey(this.labelNames, labels), value);
+  }
+}
+
+class Counter extends Metric {
+  constructor(registry, options) {
+    super(registry, { ...options, type: 'counter' });
+  }
+
+  inc(labels = {}, value = 1) {
+    this.record('inc', labels, value);
+  }
+
+  incNow(key, value) {
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  lines() {
+    return [...this.values.entries()].map(
+      ([key, value]) => `${this.name}${formatLabels(labelsFromKey(this.labelNames, key))} ${value}`
+    );
+  }
+}
+
+// Gauges are read when scraped, from `collect()`.
+class Gauge extends Metric {
+  constructor(registry, { collect, ...options }) {
+    super(registry, { ...options, type: 'gauge' });
+    this.collect = collect;
+  }
+
+  lines() {
+    const samples = this.collect();
+    return (Array.isArray(samples) ? samples : [{ labels: {}, value: samples }]).map(
+      ({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`
+    );
+  }
+}
+
+class Histogram extends Metric {
+  constructor(registry, { buckets = DURATION_BUCKETS, ...options }) {
+    super(registry, { ...options, type: 'histogram' });
+    this.buckets = buckets;
+  }
+
+  observe(labels = {}, value) {
+    this.record('observe', labels, value);
+  }
+
+  // Start a timer; calling the result observes the elapsed seconds.
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => this.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+
+  observeNow(key, value) {
+    if (!this.values.has(key)) this.values.set(key, { counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    const series = this.values.get(key);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  lines() {
+    const lines = [];
+    for (const [key, series] of this.values.entries()) {
+      const labels = labelsFromKey(this.labelNames, key);
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+// ==============================
+// MetricsRegistry Class
+// ==============================
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+    this.pending = [];
+  }
+
+  add(metric) {
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.add(new Counter(this, options));
+  }
+
+  gauge(options) {
+    return this.add(new Gauge(this, options));
+  }
+
+  histogram(options) {
+    return this.add(new Histogram(this, options));
+  }
+
+  // Worker side: updates queued since the last call.
+  drainEvents() {
+    return this.pending.splice(0);
+  }
+
+  // Main thread side: replay updates from a worker.
+  applyEvents(events = []) {
+    for (const [name, method, labels, value] of events) {
+      const metric = this.metrics.get(name);
+      if (metric) metric[`${method}Now`](labelKey(metric.labelNames, labels), value);
+    }
+  }
+
+  // Prometheus text exposition format (version 0.0.4)
+  render() {
+    const blocks = [];
+    for (const metric of this.metrics.values()) {
+      blocks.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.lines());
+    }
+    return `${blocks.join('\n')}\n`;
+  }
+}
+
+const metrics = new MetricsRegistry();
+
+// Shared definitions, so both threads agree on names and labels.
+const httpRequests = metrics.counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status code.',
+  labelNames: ['method', 'route', 'status'],
+});
+const httpDuration = metrics.histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method and route.',
+  labelNames: ['method', 'route'],
+});
+const preprocessDuration = metrics.histogram({
+  name: 'preprocess_duration_seconds',
+  help: 'Image decode and letterbox time per image.',
+});
+const inferenceDuration = metrics.histogram({
+  name: 'inference_duration_seconds',
+  help: 'ONNX inference time per run (a batched run counts once).',
+  labelNames: ['model_version'],
+});
+const detectionsTotal = metrics.counter({
+  name: 'detections_total',
+  help: 'Objects detected, by class label.',
+  labelNames: ['label'],
+});
+const imageDecodes = metrics.counter({
+  name: 'image_decodes_total',
+  help: 'Images decoded for inference by decoder. decoder="jimp" is the sharp→Jimp fallback.',
+  labelNames: ['decoder'],
+});
+
+module.exports = {
+  metrics,
+  MetricsRegistry,
+  httpRequests,
+  httpDuration,
+  preprocessDuration,
+  inferenceDuration,
+  detectionsTotal,
+  imageDecodes,
+};
@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const { JsonStore } = require('./jsonStore');
+const { HttpError } = require('./errors');
+const { CLASS_NAMES } = require('./labels');
+const { detectLayout } = require('./yoloDecoder');
+const { createSession } = require('./imageProcessor');
+
+const MODELS_DIR = process.env.MODELS_DIR || path.join(__dirname, '../models');
+const MODEL_PATH = process.env.MODEL_PATH || path.join(__dirname, '../models/best.onnx');
+const MANIFEST_FILE = 'manifest.json';
+const OUTPUT_FORMATS = ['auto', 'yolov8', 'yolov5'];
+const DEFAULT_INPUT_SIZE = 640;
+const MAX_HISTORY = 10;
+
+// Checks a manifest → list of problems (empty when valid).
+function validateManifest(manifest) {
+  const errors = [];
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) return ['manifest must be a JSON object'];
+  if (typeof manifest.version !== 'string' || !manifest.version.trim()) errors.push('version must be a non-empty string');
+  if (manifest.file !== undefined && (typeof manifest.file !== 'string' || path.basename(manifest.file) !== manifest.file)) {
+    errors.push('file must be a file name inside the model directory');
+  }
+  const { classNames } = manifest;
+  if (!Array.isArray(classNames) || !classNames.length || !classNames.every((c) => typeof c === 'string' && c)) {
+    errors.push('classNames must be a non-empty array of strings, in model output order');
+  } else if (new Set(classNames).size !== classNames.length) {
+    errors.push('classNames must not contain duplicates');
+  }
+  if (manifest.inputSize !== undefined && manifest.inputSize !== null &&
+      (!Number.isInteger(manifest.inputSize) || manifest.inputSize < 32)) {
+    errors.push('inputSize must be an integer of at least 32');
+  }
+  if (manifest.outputFormat !== undefined && !OUTPUT_FORMATS.includes(manifest.outputFormat)) {
+    errors.push(`outputFormat must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  return errors;
+}
+
+// scan() runs on every lookup, so a model file is only read and hashed
+// again once its size or modification time changes.
+const fileHashes = new Map(); // path → { size, mtimeMs, hash }
+
+function hashFile(filePath) {
+  const { size, mtimeMs } = fs.statSync(filePath);
+  const cached = fileHashes.get(filePath);
+  if (cached && cached.size === size && cached.mtimeMs === mtimeMs) return cached.hash;
+  const hash = crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex').slice(0, 12);
+  fileHashes.set(filePath, { size, mtimeMs, hash });
+  return hash;
+}
+
+// Stable 0-99 bucket, so a client keeps getting the same variant.
+function bucketOf(key) {
+  return crypto.createHash('sha256').update(key).digest().readUInt32BE(0) % 100;
+}
+
+// ==============================
+// ModelRegistry Class
+// ==============================
+// Models live in MODELS_DIR, one directory per version:
+//
+//   models/2024-06-01/manifest.json   { version, file, classNames, inputSize, outputFormat, description }
+//   models/2024-06-01/model.onnx
+//
+// A bare MODEL_PATH file without a manifest is still picked up, with the
+// built-in labels, as version MODEL_VERSION (default: a hash of the file).
+// The registry only decides which model each request uses; the worker
+// threads load sessions for the descriptors they are handed, so
+// activating or rolling back takes effect on the next request.
+class ModelRegistry {
+  constructor({ dir = MODELS_DIR, legacyPath = MODEL_PATH, statePath } = {}) {
+    const defaultPath = path.join(__dirname, '../data/model_registry.json');
+    this.dir = dir;
+    this.legacyPath = legacyPath;
+    this.store = new JsonStore(statePath || process.env.MODEL_REGISTRY_PATH || defaultPath, {
+      active: null,
+      history: [],
+      split: null,
+    });
+    this.models = new Map();
+    this.loaded = new Map();
+    this.scan();
+    this.ensureActive();
+  }
+
+  get state() {
+    return this.store.data;
+  }
+
+  // Re-read the models directory (manifests may have been added or edited).
+  scan() {
+    const models = new Map();
+    if (fs.existsSync(this.legacyPath)) {
+      const version = process.env.MODEL_VERSION || `sha256:${hashFile(this.legacyPath)}`;
+      models.set(version, {
+        version,
+        source: 'legacy',
+        path: this.legacyPath,
+        classNames: CLASS_NAMES,
+        inputSize: null,
+        outputFormat: 'auto',
+        description: `MODEL_PATH (${path.basename(this.legacyPath)})`,
+        errors: [],
+      });
+    }
+
+    const entries = fs.existsSync(this.dir) ? fs.readdirSync(this.dir, { withFileTypes: true }) : [];
+    for (const entry of entries.filter((e) => e.isDirectory())) {
+      const manifestPath = path.join(this.dir, entry.name, MANIFEST_FILE);
+      if (!fs.existsSync(manifestPath)) continue;
+
+      let manifest = null;
+      let errors;
+      try {
+        manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        errors = validateManifest(manifest);
+      } catch (err) {
+        errors = [`manifest is not valid JSON: ${err.message}`];
+      }
+      const version = errors.length ? (manifest && manifest.version) || entry.name : manifest.version.trim();
+      const modelPath = path.join(this.dir, entry.name, (manifest && manifest.file) || 'model.onnx');
+      if (!errors.length && !fs.existsSync(modelPath)) errors.push(`model file ${path.basename(modelPath)} not found`);
+      if (models.has(version)) errors.push(`version "${version}" is already used by another model`);
+
+      const model = {
+        version: String(version),
+        source: 'manifest',
+        path: modelPath,
+        classNames: errors.length ? [] : manifest.classNames,
+        inputSize: (manifest && manifest.inputSize) || null,
+        outputFormat: (manifest && manifest.outputFormat) || 'auto',
+        description: (manifest && manifest.description) || null,
+        errors,
+      };
+      if (!models.has(model.version)) models.set(model.version, model);
+    }
+    this.models = models;
+    return this.list();
+  }
+
+  // Keep serving something sensible when the saved active model is gone.
+  ensureActive() {
+    const { active } = this.state;
+    if (active && this.isUsable(active)) return;
+
+    const usable = [...this.models.values()].filter((m) => !m.errors.length);
+    const fallback = usable.find((m) => m.source === 'legacy') || usable.sort((a, b) => b.version.localeCompare(a.version))[0];
+    if (active) console.warn(`⚠️ Active model "${active}" is no longer available`);
+    this.state.active = fallback ? fallback.version : null;
+    if (this.state.split && !this.isUsable(this.state.split.version)) this.state.split = null;
+    if (fallback) console.log(`🧠 Active model: ${fallback.version}`);
+  }
+
+  isUsable(version) {
+    const model = this.models.get(version);
+    return Boolean(model && !model.errors.length);
+  }
+
+  // What a worker needs to run the model.
+  descriptor(version) {
+    const { path: modelPath, classNames, inputSize, outputFormat } = this.models.get(version);
+    return { version, path: modelPath, classNames, inputSize, outputFormat };
+  }
+
+  list() {
+    const { active, split } = this.state;
+    return [...this.models.values()].map((model) => {
+      let status = 'available';
+      if (model.errors.length) status = 'invalid';
+      else if (model.version === active) status = 'active';
+      else if (split && model.version === split.version) status = 'candidate';
+      else if (this.loaded.has(model.version)) status = 'loaded';
+      const { path: modelPath, classNames, ...rest } = model;
+      return {
+        ...rest,
+        file: path.basename(modelPath),
+        classes: classNames.length,
+        status,
+        loadedAt: this.loaded.has(model.version) ? this.loaded.get(model.version).loadedAt : null,
+      };
+    });
+  }
+
+  getModel(version) {
+    this.scan();
+    const model = this.models.get(version);
+    if (!model) throw new HttpError(404, `Model "${version}" not found in ${this.dir}`);
+    if (model.errors.length) throw new HttpError(422, `Model "${version}" has an invalid manifest`, model.errors);
+    return model;
+  }
+
+  // Load the model and run one blank image through it, checking the output
+  // shape against the manifest's classes and format before any request
+  // can be routed to it.
+  async load(version) {
+    const model = this.getModel(version);
+    let ort;
+    try {
+      ort = require('onnxruntime-node');
+    } catch (err) {
+      throw new HttpError(503, `onnxruntime-node is unavailable: ${err.message}`);
+    }
+
+    let session;
+    try {
+      session = await createSession(model);
+    } catch (err) {
+      throw new HttpError(422, `Model "${version}" could not be loaded: ${err.message}`);
+    }
+    try {
+      const shape = session.inputMetadata && session.inputMetadata[0] && session.inputMetadata[0].shape;
+      const size = model.inputSize || DEFAULT_INPUT_SIZE;
+      const height = shape && Number.isInteger(shape[2]) ? shape[2] : size;
+      const width = shape && Number.isInteger(shape[3]) ? shape[3] : size;
+      const input = new ort.Tensor('float32', new Float32Array(3 * height * width), [1, 3, height, width]);
+      const outputs = await session.run({ [session.inputNames[0]]: input });
+      const output = outputs[Object.keys(outputs)[0]];
+      const layout = detectLayout(output.dims, model.classNames.length, model.outputFormat);
+
+      const info = { loadedAt: new Date().toISOString(), inputSize: [width, height], format: layout.format };
+      this.loaded.set(version, info);
+      console.log(`📦 Model ${version} loaded (${layout.format}, ${model.classNames.length} classes)`);
+      return { version, ...info };
+    } catch (err) {
+      throw new HttpError(422, `Model "${version}" failed validation: ${err.message}`);
+    } finally {
+      if (session.release) await session.release().catch(() => {});
+    }
+  }
+
+  async ensureLoaded(version) {
+    if (!this.loaded.has(version) || !this.isUsable(version)) await this.load(version);
+  }
+
+  // Switch all traffic (minus any split) to `version`.
+  async activate(version, { rememberPrevious = true } = {}) {
+    await this.ensureLoaded(version);
+    const { active, split } = this.state;
+    if (active !== version) {
+      if (rememberPrevious && active) this.state.history = [active, ...this.state.history].slice(0, MAX_HISTORY);
+      this.state.active = version;
+    }
+    if (split && split.version === version) this.state.split = null;
+    this.store.save();
+    console.log(`🧠 Active model: ${version}`);
+    return this.status();
+  }
+
+  // Back to the model that was active before the current one.
+  async rollback() {
+    const previous = this.state.history.find((version) => version !== this.state.active && this.isUsable(version));
+    if (!previous) throw new HttpError(409, 'No previous model to roll back to');
+    this.state.history = this.state.history.slice(this.state.history.indexOf(previous) + 1);
+    return this.activate(previous, { rememberPrevious: false });
+  }
+
+  // Send `percent` of clients to `version` instead of the active model.
+  async setSplit({ version, percent } = {}) {
+    if (typeof version !== 'string' || !version) throw new HttpError(400, 'version is required');
+    if (typeof percent !== 'number' || !(percent > 0 && percent < 100)) {
+      throw new HttpError(400, 'percent must be a number between 0 and 100 (exclusive)');
+    }
+    if (version === this.state.active) throw new HttpError(400, `Model "${version}" is already the active model`);
+    await this.ensureLoaded(version);
+    this.state.split = { version, percent, since: new Date().toISOString() };
+    this.store.save();
+    console.log(`🧪 Routing ${percent}% of traffic to model ${version}`);
+    return this.status();
+  }
+
+  clearSplit() {
+    this.state.split = null;
+    this.store.save();
+    return this.status();
+  }
+
+  status() {
+    const { active, history, split } = this.state;
+    return { active, previous: history, split, models: this.list() };
+  }
+
+  // The model for one request. `routingKey` identifies the client so the
+  // A/B split is sticky. → { model, variant } or null when there is none.
+  select(routingKey = '') {
+    const { active, split } = this.state;
+    if (split && this.isUsable(split.version) && bucketOf(`${split.version}:${routingKey}`) < split.percent) {
+      return { model: this.descriptor(split.version), variant: 'candidate' };
+    }
+    if (!active || !this.isUsable(active)) return null;
+    return { model: this.descriptor(active), variant: 'active' };
+  }
+}
+
+const modelRegistry = new ModelRegistry();
+
+module.exports = { ModelRegistry, modelRegistry, validateManifest, OUTPUT_FORMATS };
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const path = require('path');
+require('dotenv').config();
+
+const { JsonStore } = require('./jsonStore');
+const { HttpError } = require('./errors');
+const { storageService } = require('./storageService');
+const { getDetection } = require('./detectionStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ITEM_STATUSES = ['active', 'consumed', 'discarded'];
+
+// Items belong to the household or API key that added them (`clientId`,
+// see scopeOf). An undefined clientId matches everything, for the expiry scan.
+function ownedBy(item, clientId) {
+  return clientId === undefined || item.clientId === clientId;
+}
+
+// ==============================
+// PantryService Class
+// ==============================
+class PantryService {
+  constructor(filePath) {
+    const defaultPath = path.join(__dirname, '../data/pantry.json');
+    this.store = new JsonStore(filePath || process.env.PANTRY_PATH || defaultPath, { items: [] });
+  }
+
+  get items() {
+    return this.store.data.items;
+  }
+
+  // Expiry is detection time + shelf_life days from storage_data.json,
+  // unless the caller supplies their own shelf life.
+  computeExpiry(detectedAt, shelfLifeDays) {
+    return new Date(new Date(detectedAt).getTime() + shelfLifeDays * DAY_MS).toISOString();
+  }
+
+  withDaysLeft(item, now = Date.now()) {
+    const daysLeft = Math.ceil((new Date(item.expiresAt).getTime() - now) / DAY_MS);
+    return { ...item, daysLeft, expired: daysLeft <= 0 };
+  }
+
+  listItems({ status = 'active', clientId } = {}) {
+    if (status !== 'all' && !ITEM_STATUSES.includes(status)) {
+      throw new HttpError(400, `Invalid status "${status}". Use one of: ${ITEM_STATUSES.join(', ')}, all`);
+    }
+    const now = Date.now();
+    return this.items
+      .filter((item) => ownedBy(item, clientId) && (status === 'all' || item.status === status))
+      .sort((a, b) => new Date(a.expiresAt) - new Date(b.expiresAt))
+      .map((item) => this.withDaysLeft(item, now));
+  }
+
+  getItem(id, clientId) {
+    const item = this.find(id, clientId);
+    return item ? this.withDaysLeft(item) : null;
+  }
+
+  find(id, clientId) {
+    return this.items.find((i) => i.id === id && ownedBy(i, clientId)) || null;
+  }
+
+  addItem(input = {}, { clientId = null } = {}) {
+    let { label, detectedAt, shelfLifeDays } = input;
+    let source = 'manual';
+    let detectionId = null;
+
+    if (input.detectionId) {
+      // Only the caller's own detections; another owner's is as good as missing.
+      const detection = getDetection(input.detectionId, clientId);
+      if (!detection) throw new HttpError(404, `Detection "${input.detectionId}" not found or expired`);
+      ({ label, detectedAt } = detection);
+      detectionId = detection.id;
+      source = 'detection';
+    }
+
+    if (!label || typeof label !== 'string') throw new HttpError(400, 'A label or detectionId is required');
+    // Items added by hand are assumed fresh unless the label says otherwise.
+    label = storageService.resolveKey(label, { defaultStatus: 'Fresh' }) || storageService.normalizeLabel(label);
+
+    const storage = storageService.getStorageData(label);
+    if (shelfLifeDays === undefined) {
+      if (!storage) {
+        console.warn(`⚠️ No storage data found for "${label}"`);
+        throw new HttpError(400, `Unknown item "${label}". Provide shelfLifeDays to add it anyway.`);
+      }
+      shelfLifeDays = storage.shelf_life;
+    }
+    if (typeof shelfLifeDays !== 'number' || !(shelfLifeDays >= 0)) {
+      throw new HttpError(400, 'shelfLifeDays must be a non-negative number');
+    }
+
+    detectedAt = detectedAt || new Date().toISOString();
+    if (Number.isNaN(new Date(detectedAt).getTime())) throw new HttpError(400, 'detectedAt must be a valid date');
+
+    const quantity = input.quantity === undefined ? 1 : input.quantity;
+    if (!Number.isInteger(quantity) || quantity < 1) throw new HttpError(400, 'quantity must be a positive integer');
+
+    const now = new Date().toISOString();
+    const item = {
+      id: crypto.randomUUID(),
+      clientId,
+      label,
+      name: label.includes('_') ? label.split('_').slice(1).join(' ') : label,
+      quantity,
+      status: 'active',
+      source,
+      detectionId,
+      detectedAt: new Date(detectedAt).toISOString(),
+      shelfLifeDays,
+      expiresAt: this.computeExpiry(detectedAt, shelfLifeDays),
+      notes: input.notes || null,
+      addedAt: now,
+      updatedAt: now,
+    };
+
+    this.items.push(item);
+    this.store.save();
+    return this.withDaysLeft(item);
+  }
+
+  updateItem(id, changes = {}, clientId) {
+    const item = this.find(id, clientId);
+    if (!item) return null;
+
+    if (changes.status !== undefined) {
+      if (!ITEM_STATUSES.includes(changes.status)) {
+        throw new HttpError(400, `Invalid status "${changes.status}". Use one of: ${ITEM_STATUSES.join(', ')}`);
+      }
+      item.status = changes.status;
+      item.closedAt = changes.status === 'active' ? null : new Date().toISOString();
+    }
+    if (changes.quantity !== undefined) {
+      if (!Number.isInteger(changes.quantity) || changes.quantity < 1) {
+        throw new HttpError(400, 'quantity must be a positive integer');
+      }
+      item.quantity = changes.quantity;
+    }
+    if (changes.notes !== undefined) item.notes = changes.notes;
+
+    item.updatedAt = new Date().toISOString();
+    this.store.save();
+    return this.withDaysLeft(item);
+  }
+
+  // Remember that an expiry event went out so it's only sent once.
+  markNotified(id, event) {
+    const item = this.items.find((i) => i.id === id);
+    if (!item) return;
+    item.notified = { ...item.notified, [event]: new Date().toISOString() };
+    this.store.save();
+  }
+
+  removeItem(id, clientId) {
+    const index = this.items.findIndex((i) => i.id === id && ownedBy(i, clientId));
+    if (index === -1) return false;
+    this.items.splice(index, 1);
+    this.store.save();
+    return true;
+  }
+}
+
+const pantryService = new PantryService();
+
+module.exports = {
+  PantryService,
+  pantryService,
+  ITEM_STATUSES,
+};
@@ -0,0 +1,134 @@
+const sharp = require("sharp");
+const Jimp = require("jimp");
+const { imageDecodes } = require("./metrics");
+
+const DEFAULT_INPUT_SIZE = 640;
+// Grey used by ultralytics' LetterBox for the padded border.
+const PAD_VALUE = 114;
+
+// ==============================
+// Decoding (sharp with Jimp fallback)
+// ==============================
+// Both decoders return upright (EXIF-orientation applied) interleaved RGB
+// bytes, so everything after this point is shared.
+async function decodeWithSharp(input) {
+  const { data, info } = await sharp(input)
+    .rotate() // ✅ apply EXIF orientation
+    .toColorspace("srgb") // ✅ Fix for Render/libvips issue
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+async function decodeWithJimp(input) {
+  // Jimp applies EXIF orientation itself when reading JPEGs.
+  const img = await Jimp.read(input);
+  const { width, height, data: rgba } = img.bitmap;
+  const data = Buffer.alloc(width * height * 3);
+  for (let src = 0, dst = 0; src < rgba.length; src += 4, dst += 3) {
+    data[dst] = rgba[src];
+    data[dst + 1] = rgba[src + 1];
+    data[dst + 2] = rgba[src + 2];
+  }
+  return { data, width, height };
+}
+
+async function decodeImage(input) {
+  try {
+    const image = await decodeWithSharp(input);
+    imageDecodes.inc({ decoder: "sharp" });
+    return image;
+  } catch (err) {
+    console.warn("❌ sharp processing failed, fallback to Jimp:", err.message);
+    const image = await decodeWithJimp(input);
+    imageDecodes.inc({ decoder: "jimp" });
+    return image;
+  }
+}
+
+// ==============================
+// Letterbox + CHW conversion
+// ==============================
+// Scale the image to fit inputWidth x inputHeight keeping its aspect ratio
+// (bilinear, like cv2.INTER_LINEAR), centre it on a grey canvas and write
+// it out as planar float32 RGB in [0, 1].
+function letterbox(image, inputWidth, inputHeight) {
+  const { data, width, height } = image;
+  const scale = Math.min(inputWidth / width, inputHeight / height);
+  const resizedWidth = Math.round(width * scale);
+  const resizedHeight = Math.round(height * scale);
+  const padX = Math.floor((inputWidth - resizedWidth) / 2);
+  const padY = Math.floor((inputHeight - resizedHeight) / 2);
+
+  const plane = inputWidth * inputHeight;
+  const chw = new Float32Array(3 * plane).fill(PAD_VALUE / 255);
+
+  for (let y = 0; y < resizedHeight; y++) {
+    const srcY = Math.min(Math.max((y + 0.5) / scale - 0.5, 0), height - 1);
+    const y0 = Math.floor(srcY);
+    const y1 = Math.min(y0 + 1, height - 1);
+    const fy = srcY - y0;
+
+    for (let x = 0; x < resizedWidth; x++) {
+      const srcX = Math.min(Math.max((x + 0.5) / scale - 0.5, 0), width - 1);
+      const x0 = Math.floor(srcX);
+      const x1 = Math.min(x0 + 1, width - 1);
+      const fx = srcX - x0;
+
+      const i00 = (y0 * width + x0) * 3;
+      const i01 = (y0 * width + x1) * 3;
+      const i10 = (y1 * width + x0) * 3;
+      const i11 = (y1 * width + x1) * 3;
+      const out = (y + padY) * inputWidth + (x + padX);
+
+      for (let c = 0; c < 3; c++) {
+        const top = data[i00 + c] + (data[i01 + c] - data[i00 + c]) * fx;
+        const bottom = data[i10 + c] + (data[i11 + c] - data[i10 + c]) * fx;
+        chw[c * plane + out] = (top + (bottom - top) * fy) / 255;
+      }
+    }
+  }
+
+  return {
+    data: chw,
+    dims: [1, 3, inputHeight, inputWidth],
+    transform: {
+      originalWidth: width,
+      originalHeight: height,
+      inputWidth,
+      inputHeight,
+      scaleX: scale,
+      scaleY: scale,
+      padX,
+      padY,
+    },
+  };
+}
+
+// Work out the model's expected [height, width] from its input metadata
+// ([batch, 3, H, W]); symbolic or missing dims fall back to the default.
+function getInputSize(session) {
+  const size = Number(process.env.MODEL_INPUT_SIZE) || DEFAULT_INPUT_SIZE;
+  const meta = session && session.inputMetadata && session.inputMetadata[0];
+  const shape = meta && meta.shape;
+  const height = shape && Number.isInteger(shape[2]) ? shape[2] : size;
+  const width = shape && Number.isInteger(shape[3]) ? shape[3] : size;
+  return { inputWidth: width, inputHeight: height };
+}
+
+// Preprocess an image (file path or buffer) → { data, dims, transform }
+async function preprocessImage(input, { inputWidth = DEFAULT_INPUT_SIZE, inputHeight = DEFAULT_INPUT_SIZE } = {}) {
+  const image = await decodeImage(input);
+  return letterbox(image, inputWidth, inputHeight);
+}
+
+module.exports = {
+  decodeImage,
+  decodeWithSharp,
+  decodeWithJimp,
+  letterbox,
+  getInputSize,
+  preprocessImage,
+  DEFAULT_INPUT_SIZE,
+};
@@ -0,0 +1,48 @@
+// ==============================
+// TokenBucket rate limiter
+// ==============================
+// One bucket per client. A bucket holds up to `capacity` tokens and
+// refills at `refillPerSecond`; every request takes one token. Full
+// buckets carry no information, so prune() drops them.
+class TokenBucketLimiter {
+  constructor({ capacity, refillPerSecond }) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.buckets = new Map();
+  }
+
+  refill(bucket, now) {
+    const elapsed = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(this.capacity, bucket.tokens + elapsed * this.refillPerSecond);
+    bucket.updatedAt = now;
+  }
+
+  // → { allowed, limit, remaining, resetSeconds, retryAfterSeconds }
+  take(id, now = Date.now()) {
+    let bucket = this.buckets.get(id);
+    if (!bucket) {
+      bucket = { tokens: this.capacity, updatedAt: now };
+      this.buckets.set(id, bucket);
+    }
+    this.refill(bucket, now);
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) bucket.tokens -= 1;
+    return {
+      allowed,
+      limit: this.capacity,
+      remaining: Math.floor(bucket.tokens),
+      resetSeconds: Math.ceil((this.capacity - bucket.tokens) / this.refillPerSecond),
+      retryAfterSeconds: allowed ? 0 : Math.ceil((1 - bucket.tokens) / this.refillPerSecond),
+    };
+  }
+
+  prune(now = Date.now()) {
+    for (const [id, bucket] of this.buckets) {
+      this.refill(bucket, now);
+      if (bucket.tokens >= this.capacity) this.buckets.delete(id);
+    }
+  }
+}
+
+module.exports = { TokenBucketLimiter };
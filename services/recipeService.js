@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const { HttpError } = require('./errors');
+const { ITEM_CATEGORIES, splitLabel } = require('./labels');
+const { storageService } = require('./storageService');
+const { historyService } = require('./historyService');
+const { pantryService } = require('./pantryService');
+const { assessDetections } = require('./shelfLife');
+
+const AT_RISK_DAYS = parseInt(process.env.SUGGESTIONS_AT_RISK_DAYS, 10) || 3;
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+
+// Tags a recipe must carry to pass the filter of the same name; `no_<item>`
+// filters (no_pork, no_beef, …) instead drop recipes that use the item.
+const DIETS = ['vegetarian', 'vegan', 'gluten_free', 'dairy_free'];
+const ITEMS = Object.values(ITEM_CATEGORIES).flat();
+const MEAT = ITEM_CATEGORIES.meat;
+
+function isTrue(value) {
+  return value === true || ['1', 'true'].includes(String(value).toLowerCase());
+}
+
+// Arrays, or comma-separated strings from a query string.
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map((entry) => String(entry).trim()).filter(Boolean);
+}
+
+// "no pork", "No-Pork" → "no_pork"
+function normalizeDiet(term) {
+  return term.toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+// ==============================
+// Recipe dataset
+// ==============================
+// { recipes: [{ id, name, items, ingredients, diets, minutes?, servings? }] }
+// `items` are the detectable items the recipe uses ("Chicken"), matched
+// against what the user has; `ingredients` is the full shopping list.
+function validateRecipes(data) {
+  if (!data || !Array.isArray(data.recipes)) return ['recipes must be an array'];
+  const errors = [];
+  const ids = new Set();
+  data.recipes.forEach((recipe, i) => {
+    const where = `recipes[${i}]${recipe && recipe.id ? ` (${recipe.id})` : ''}`;
+    if (!recipe || typeof recipe !== 'object') return errors.push(`${where} must be an object`);
+    if (typeof recipe.id !== 'string' || !recipe.id) errors.push(`${where}.id must be a non-empty string`);
+    else if (ids.has(recipe.id)) errors.push(`${where}.id is a duplicate`);
+    ids.add(recipe.id);
+    if (typeof recipe.name !== 'string' || !recipe.name) errors.push(`${where}.name must be a non-empty string`);
+    if (!Array.isArray(recipe.items) || !recipe.items.length) {
+      errors.push(`${where}.items must be a non-empty array`);
+    } else {
+      for (const item of recipe.items.filter((entry) => !ITEMS.includes(entry))) {
+        errors.push(`${where}.items has unknown item "${item}"`);
+      }
+      if (['vegetarian', 'vegan'].some((diet) => (recipe.diets || []).includes(diet)) && recipe.items.some((item) => MEAT.includes(item))) {
+        errors.push(`${where} uses meat but is tagged vegetarian or vegan`);
+      }
+    }
+    if (!Array.isArray(recipe.ingredients) || recipe.ingredients.some((entry) => typeof entry !== 'string')) {
+      errors.push(`${where}.ingredients must be an array of strings`);
+    }
+    if (!Array.isArray(recipe.diets) || recipe.diets.some((diet) => !DIETS.includes(diet))) {
+      errors.push(`${where}.diets must only contain: ${DIETS.join(', ')}`);
+    }
+  });
+  return errors;
+}
+
+// Diet filters → [{ diet }] / [{ exclude: item }], or 400 listing bad ones.
+function parseDiets(value) {
+  const filters = [];
+  const errors = [];
+  for (const term of toList(value)) {
+    const diet = normalizeDiet(term);
+    const excluded = diet.startsWith('no_') && ITEMS.find((item) => item.toLowerCase() === diet.slice(3));
+    if (DIETS.includes(diet)) filters.push({ diet });
+    else if (excluded) filters.push({ exclude: excluded });
+    else errors.push(`Unknown diet "${term}". Use one of: ${DIETS.join(', ')} or no_<item>, e.g. no_pork`);
+  }
+  return { filters, errors };
+}
+
+function urgencyOf(daysLeft) {
+  return daysLeft === null ? 0 : Math.round((1 / (1 + Math.max(daysLeft, 0))) * 100) / 100;
+}
+
+// ==============================
+// RecipeService Class
+// ==============================
+class RecipeService {
+  constructor(filePath) {
+    this.filePath = filePath || process.env.RECIPES_PATH || path.join(__dirname, '../data/recipes.json');
+    this.recipes = this.loadRecipes();
+  }
+
+  // A bad dataset is a configuration error, so it fails at startup.
+  loadRecipes() {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read recipes from ${this.filePath}: ${error.message}`);
+    }
+    const errors = validateRecipes(data);
+    if (errors.length) throw new Error(`Invalid recipes in ${this.filePath}: ${errors.join('; ')}`);
+    console.log(`🍳 Loaded ${data.recipes.length} recipes`);
+    return data.recipes;
+  }
+
+  // ==============================
+  // Available items
+  // ==============================
+  // Everything the user has, from any mix of:
+  //   - `items`: labels or item names ("Fresh_Chicken", "peppers"); days
+  //     left is the item's full shelf life
+  //   - `resultId`: a /api/detect result (or history entry) of this client
+  //     or household
+  //   - `latest`: the newest detection of this client (and X-User-Id) or
+  //     signed-in user
+  //   - `pantry`: active pantry items of this client or household, with
+  //     their days until expiry
+  // Detections use their remaining-days estimate. Rotten, discard-verdict
+  // and expired items can't be cooked and are returned as `skipped`.
+  //   → { available: [{ item, label, daysLeft, sources }], skipped: [{ label, reason, source }] }
+  collectItems({ items, resultId, latest, pantry }, { clientId = null, userId = null } = {}) {
+    const available = new Map();
+    const skipped = [];
+    const add = (label, daysLeft, source) => {
+      const { status, item } = splitLabel(label);
+      if (status === 'Rotten') return skipped.push({ label, reason: 'rotten', source });
+      const existing = available.get(item);
+      if (!existing) return available.set(item, { item, label, daysLeft, sources: [source] });
+      if (daysLeft !== null && (existing.daysLeft === null || daysLeft < existing.daysLeft)) existing.daysLeft = daysLeft;
+      if (!existing.sources.includes(source)) existing.sources.push(source);
+    };
+
+    const unknown = [];
+    for (const term of toList(items)) {
+      const key = storageService.resolveKey(term, { defaultStatus: 'Fresh' });
+      if (!key) {
+        console.warn(`⚠️ No storage data found for "${term}"`);
+        unknown.push(`Unknown item "${term}"`);
+        continue;
+      }
+      const entry = storageService.getStorageData(key);
+      add(key, typeof entry.shelf_life === 'number' ? entry.shelf_life : null, 'items');
+    }
+    if (unknown.length) throw new HttpError(400, 'Invalid suggestion request', unknown);
+
+    const entries = [];
+    if (resultId) {
+      const visible = historyService.select({ clientId });
+      const entry = visible.find((e) => e.id === resultId || e.resultId === resultId);
+      if (!entry) throw new HttpError(404, `Detection result "${resultId}" not found`);
+      entries.push(entry);
+    }
+    if (isTrue(latest)) {
+      const entry = historyService.select({ clientId, userId }).at(-1);
+      if (!entry) throw new HttpError(404, 'No detection history yet');
+      entries.push(entry);
+    }
+    for (const entry of entries) {
+      const detections = assessDetections(entry.detections.map((detection) => ({ ...detection })));
+      for (const detection of detections) {
+        if (detection.verdict === 'discard') skipped.push({ label: detection.label, reason: 'discard', source: 'detection' });
+        else add(detection.label, detection.remainingDays ? detection.remainingDays.min : null, 'detection');
+      }
+    }
+
+    if (isTrue(pantry)) {
+      for (const item of pantryService.listItems({ status: 'active', clientId })) {
+        if (item.expired) skipped.push({ label: item.label, reason: 'expired', source: 'pantry' });
+        else add(item.label, item.daysLeft, 'pantry');
+      }
+    }
+    return { available: [...available.values()], skipped };
+  }
+
+  // ==============================
+  // Suggestions
+  // ==============================
+  // Recipes using at least one available item, ranked by the urgency of the
+  // items they use up: each counts 1 / (1 + days left), so a chicken with
+  // a day left outweighs potatoes with a month. Ties go to recipes using
+  // more at-risk items (at most SUGGESTIONS_AT_RISK_DAYS left), then to
+  // those missing fewer items.
+  suggest(input = {}, origin = {}) {
+    const { filters, errors } = parseDiets(input.diet);
+    const limit = input.limit === undefined || input.limit === '' ? DEFAULT_LIMIT : Number(input.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) errors.push(`limit must be an integer from 1 to ${MAX_LIMIT}`);
+    if (errors.length) throw new HttpError(400, 'Invalid suggestion request', errors);
+    if (!toList(input.items).length && !input.resultId && !isTrue(input.latest) && !isTrue(input.pantry)) {
+      throw new HttpError(400, 'Provide items, a resultId, latest=true or pantry=true');
+    }
+
+    const { available, skipped } = this.collectItems(input, origin);
+    const items = available.map((entry) => ({
+      ...entry,
+      urgency: urgencyOf(entry.daysLeft),
+      atRisk: entry.daysLeft !== null && entry.daysLeft <= AT_RISK_DAYS,
+    }));
+    const byItem = new Map(items.map((entry) => [entry.item, entry]));
+
+    const suggestions = this.recipes
+      .filter((recipe) => filters.every(({ diet, exclude }) => (diet ? recipe.diets.includes(diet) : !recipe.items.includes(exclude))))
+      .map((recipe) => {
+        const uses = recipe.items.filter((item) => byItem.has(item));
+        const score = uses.reduce((sum, item) => sum + byItem.get(item).urgency, 0);
+        return {
+          ...recipe,
+          score: Math.round(score * 100) / 100,
+          uses,
+          usesAtRisk: uses.filter((item) => byItem.get(item).atRisk),
+          missing: recipe.items.filter((item) => !byItem.has(item)),
+        };
+      })
+      .filter((recipe) => recipe.uses.length)
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          b.usesAtRisk.length - a.usesAtRisk.length ||
+          a.missing.length - b.missing.length ||
+          a.name.localeCompare(b.name)
+      )
+      .slice(0, limit);
+
+    return {
+      items: items.sort((a, b) => b.urgency - a.urgency || a.item.localeCompare(b.item)),
+      skipped,
+      diet: filters.map(({ diet, exclude }) => diet || `no_${exclude.toLowerCase()}`),
+      suggestions,
+    };
+  }
+}
+
+const recipeService = new RecipeService();
+
+module.exports = { RecipeService, recipeService, validateRecipes, parseDiets, DIETS };
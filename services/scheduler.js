@@ -0,0 +1,83 @@
+// ==============================
+// Scheduler Class
+// ==============================
+// Runs named housekeeping jobs on fixed intervals. A job never overlaps
+// with itself; if a run is still going when the next tick fires, the tick
+// is skipped. Failures are logged and recorded, never thrown.
+class Scheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.started = false;
+  }
+
+  schedule(name, intervalMs, task, { runOnStart = false } = {}) {
+    this.jobs.set(name, {
+      name,
+      intervalMs,
+      task,
+      runOnStart,
+      timer: null,
+      running: false,
+      lastRunAt: null,
+      lastDurationMs: null,
+      lastError: null,
+    });
+    if (this.started) this.startJob(this.jobs.get(name));
+  }
+
+  startJob(job) {
+    job.timer = setInterval(() => this.run(job.name), job.intervalMs);
+    if (job.runOnStart) setImmediate(() => this.run(job.name));
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+    for (const job of this.jobs.values()) this.startJob(job);
+    console.log(`⏱️ Scheduler started with ${this.jobs.size} jobs`);
+  }
+
+  stop() {
+    for (const job of this.jobs.values()) {
+      clearInterval(job.timer);
+      job.timer = null;
+    }
+    this.started = false;
+  }
+
+  async run(name) {
+    const job = this.jobs.get(name);
+    if (!job) throw new Error(`Unknown job "${name}"`);
+    if (job.running) return false;
+
+    job.running = true;
+    const start = Date.now();
+    try {
+      await job.task();
+      job.lastError = null;
+    } catch (err) {
+      job.lastError = err.message;
+      console.error(`❌ Job "${name}" failed:`, err);
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date(start).toISOString();
+      job.lastDurationMs = Date.now() - start;
+    }
+    return true;
+  }
+
+  status() {
+    return [...this.jobs.values()].map(({ name, intervalMs, running, lastRunAt, lastDurationMs, lastError }) => ({
+      name,
+      intervalMs,
+      running,
+      lastRunAt,
+      lastDurationMs,
+      lastError,
+    }));
+  }
+}
+
+const scheduler = new Scheduler();
+
+module.exports = { Scheduler, scheduler };
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const { ITEM_CATEGORIES, splitLabel, categoryOf } = require('./labels');
+const { scoreFreshness } = require('./freshnessSummary');
+const { storageService } = require('./storageService');
+
+const THRESHOLDS_PATH = process.env.FRESHNESS_THRESHOLDS_PATH || path.join(__dirname, '../data/freshness_thresholds.json');
+
+// Verdict → traffic light.
+const VERDICTS = {
+  eat_now: 'green',
+  use_soon: 'amber',
+  discard: 'red',
+};
+
+const THRESHOLD_FIELDS = ['eatNow', 'discard', 'useSoonDays'];
+
+// ==============================
+// Thresholds
+// ==============================
+// { default, fruit, vegetable, meat }, each { eatNow, discard, useSoonDays }:
+//   - freshness below `discard` → discard
+//   - below `eatNow`, or at most `useSoonDays` left → use soon
+//   - otherwise → eat now
+// Categories inherit anything they leave out from `default`.
+function validateThresholds(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return ['must be an object'];
+  const errors = [];
+  for (const [category, thresholds] of Object.entries(config)) {
+    if (category !== 'default' && !ITEM_CATEGORIES[category]) {
+      errors.push(`Unknown category "${category}". Use default or one of: ${Object.keys(ITEM_CATEGORIES).join(', ')}`);
+      continue;
+    }
+    if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+      errors.push(`${category} must be an object`);
+      continue;
+    }
+    for (const [field, value] of Object.entries(thresholds)) {
+      if (!THRESHOLD_FIELDS.includes(field)) errors.push(`${category}.${field} is not a threshold`);
+      else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) errors.push(`${category}.${field} must be a non-negative number`);
+      else if (field !== 'useSoonDays' && value > 1) errors.push(`${category}.${field} must be between 0 and 1`);
+    }
+  }
+  if (errors.length) return errors;
+
+  for (const [category, { eatNow, discard, useSoonDays }] of Object.entries(resolveThresholds(config))) {
+    if (eatNow === undefined || discard === undefined || useSoonDays === undefined) {
+      errors.push(`${category} needs eatNow, discard and useSoonDays (directly or from default)`);
+    } else if (discard >= eatNow) {
+      errors.push(`${category}.discard must be below ${category}.eatNow`);
+    }
+  }
+  return errors;
+}
+
+function resolveThresholds(config) {
+  const categories = ['default', ...Object.keys(ITEM_CATEGORIES)];
+  return Object.fromEntries(categories.map((category) => [category, { ...config.default, ...config[category] }]));
+}
+
+// A bad thresholds file is a configuration error, so it fails at startup.
+function loadThresholds(filePath = THRESHOLDS_PATH) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read freshness thresholds from ${filePath}: ${error.message}`);
+  }
+  const errors = validateThresholds(config);
+  if (errors.length) throw new Error(`Invalid freshness thresholds in ${filePath}: ${errors.join('; ')}`);
+  return resolveThresholds(config);
+}
+
+const THRESHOLDS = loadThresholds();
+
+// ==============================
+// Remaining shelf life
+// ==============================
+function shelfLifeOf(item) {
+  const entry = storageService.getStorageData(`Fresh_${item}`);
+  return entry && typeof entry.shelf_life === 'number' ? entry.shelf_life : null;
+}
+
+// Freshness is mapped linearly onto the item's shelf life, from 0 days at
+// the discard threshold to the full shelf life at 1. The range widens as
+// the model grows less certain: ±(1 - certainty) / 2 around the score.
+function remainingDays(shelfLife, score, certainty, { discard }) {
+  const margin = (1 - certainty) / 2;
+  const fraction = (value) => Math.min(Math.max((value - discard) / (1 - discard), 0), 1);
+  return {
+    min: Math.floor(shelfLife * fraction(score - margin)),
+    max: Math.ceil(shelfLife * fraction(score + margin)),
+  };
+}
+
+// → { freshness, remainingDays: { min, max } | null, verdict, trafficLight }
+// `remainingDays` is null for items without a shelf life in the storage data.
+function estimateShelfLife(item, score, certainty = 1, { thresholds = THRESHOLDS, shelfLife = shelfLifeOf(item) } = {}) {
+  const limits = thresholds[categoryOf(item)] || thresholds.default;
+  let days = shelfLife === null ? null : remainingDays(shelfLife, score, certainty, limits);
+
+  let verdict = 'eat_now';
+  if (score < limits.discard) {
+    verdict = 'discard';
+    if (days) days = { min: 0, max: 0 };
+  } else if (score < limits.eatNow || (days && days.min <= limits.useSoonDays)) {
+    verdict = 'use_soon';
+  }
+  return { freshness: score, remainingDays: days, verdict, trafficLight: VERDICTS[verdict] };
+}
+
+// Adds the freshness estimate to each Fresh_X / Rotten_X detection, in
+// place, and drops the decoder's `counterpartConfidence`.
+function assessDetections(detections, options = {}) {
+  const scores = scoreFreshness(detections, options);
+  detections.forEach((detection, i) => {
+    delete detection.counterpartConfidence;
+    if (!scores[i]) return;
+    const { item } = splitLabel(detection.label);
+    Object.assign(detection, estimateShelfLife(item, scores[i].score, scores[i].certainty));
+  });
+  return detections;
+}
+
+module.exports = {
+  VERDICTS,
+  THRESHOLDS,
+  validateThresholds,
+  loadThresholds,
+  estimateShelfLife,
+  assessDetections,
+};
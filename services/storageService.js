@@ -2,6 +2,13 @@ const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
 
+const { HttpError } = require('./errors');
+const { formatDuration, formatTemperatureRange, TEMPERATURE_UNITS } = require('./units');
+const { localeService, DEFAULT_LOCALE } = require('./localeService');
+const { ItemMatcher, DEFAULT_THRESHOLD, splitStatus } = require('./itemMatcher');
+
+const FUZZY_THRESHOLD = parseFloat(process.env.STORAGE_FUZZY_THRESHOLD) || DEFAULT_THRESHOLD;
+
 // ==============================
 // Default storage data
 // ==============================
@@ -183,6 +190,119 @@ const DEFAULT_STORAGE_DATA = {
   }
 };
 
+// ==============================
+// Locations & states
+// ==============================
+const LOCATIONS = ['pantry', 'fridge', 'freezer'];
+const STATES = ['whole', 'cut', 'cooked'];
+const LOCATION_TEMPERATURES = {
+  pantry: { min_c: 10, max_c: 21 },
+  fridge: { min_c: 0, max_c: 4 },
+  freezer: { min_c: -18, max_c: -18 },
+};
+
+const isShelfLife = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+
+function isShelfLifeByLocation(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  return Object.entries(value).every(([location, states]) =>
+    LOCATIONS.includes(location) &&
+    states && typeof states === 'object' && !Array.isArray(states) &&
+    Object.entries(states).every(([state, days]) => STATES.includes(state) && isShelfLife(days)));
+}
+
+function isTemperatureMap(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  return Object.entries(value).every(([location, range]) =>
+    LOCATIONS.includes(location) && range &&
+    Number.isFinite(range.min_c) && Number.isFinite(range.max_c) && range.min_c <= range.max_c);
+}
+
+// Older files only have a free-text `storage` string; guess the location
+// it describes from whichever keyword appears first.
+function guessLocation(storageText = '') {
+  const patterns = { freezer: /freez/i, fridge: /refrigerat|fridge/i, pantry: /room temperature|cool, dark|pantry|counter/i };
+  let best = null;
+  for (const [location, pattern] of Object.entries(patterns)) {
+    const match = pattern.exec(storageText);
+    if (match && (!best || match.index < best.index)) best = { location, index: match.index };
+  }
+  return best ? best.location : 'fridge';
+}
+
+// Pull a range like "32-40°F (0-4°C)" out of a `storage` string, in °C.
+function parseTemperature(storageText = '') {
+  const celsius = /(-?\d+)\s*-\s*(-?\d+)\s*°C/.exec(storageText);
+  if (celsius) return { min_c: Number(celsius[1]), max_c: Number(celsius[2]) };
+  const fahrenheit = /(-?\d+)\s*-\s*(-?\d+)\s*°F/.exec(storageText);
+  if (fahrenheit) {
+    const toC = (f) => Math.round(((Number(f) - 32) * 5) / 9);
+    return { min_c: toC(fahrenheit[1]), max_c: toC(fahrenheit[2]) };
+  }
+  return null;
+}
+
+// Fill in the structured fields for old-shape entries, which only have a
+// single `shelf_life` for an implied location and state.
+function withStructure(entry) {
+  const defaultLocation = entry.default_location || guessLocation(entry.storage);
+  const shelfLifeByLocation = entry.shelf_life_by_location || { [defaultLocation]: { whole: entry.shelf_life } };
+  const parsed = parseTemperature(entry.storage);
+  const temperature = { ...(parsed && { [defaultLocation]: parsed }), ...entry.temperature };
+  return { defaultLocation, shelfLifeByLocation, temperature };
+}
+
+// ==============================
+// Entry schema
+// ==============================
+const STATUSES = ['Fresh', 'Rotten'];
+const ENTRY_SCHEMA = {
+  storage: { required: true, check: (v) => typeof v === 'string' && v.trim() !== '', message: 'must be a non-empty string' },
+  shelf_life: { required: true, check: (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0, message: 'must be a non-negative number' },
+  tips: { required: true, check: (v) => typeof v === 'string', message: 'must be a string' },
+  signs_of_spoilage: { required: true, check: (v) => typeof v === 'string', message: 'must be a string' },
+  status: { required: true, check: (v) => STATUSES.includes(v), message: `must be one of: ${STATUSES.join(', ')}` },
+  waste_disposal: { required: false, check: (v) => v === null || typeof v === 'string', message: 'must be a string or null' },
+  default_location: { required: false, check: (v) => LOCATIONS.includes(v), message: `must be one of: ${LOCATIONS.join(', ')}` },
+  shelf_life_by_location: {
+    required: false,
+    check: isShelfLifeByLocation,
+    message: `must map ${LOCATIONS.join('/')} to ${STATES.join('/')} shelf lives in days`,
+  },
+  temperature: {
+    required: false,
+    check: isTemperatureMap,
+    message: `must map ${LOCATIONS.join('/')} to { min_c, max_c } with min_c <= max_c`,
+  },
+};
+const KEY_PATTERN = /^(Fresh|Rotten)_[A-Z][A-Za-z]*$/;
+
+// Returns a list of { field, message } problems; empty when the entry is valid.
+function validateEntry(key, entry) {
+  const errors = [];
+  if (!KEY_PATTERN.test(key)) {
+    errors.push({ field: 'name', message: 'must look like Fresh_Item or Rotten_Item' });
+  }
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return [...errors, { field: 'entry', message: 'must be an object' }];
+  }
+
+  for (const [field, rule] of Object.entries(ENTRY_SCHEMA)) {
+    if (entry[field] === undefined) {
+      if (rule.required) errors.push({ field, message: 'is required' });
+    } else if (!rule.check(entry[field])) {
+      errors.push({ field, message: rule.message });
+    }
+  }
+  for (const field of Object.keys(entry)) {
+    if (!ENTRY_SCHEMA[field]) errors.push({ field, message: 'is not a known field' });
+  }
+  if (STATUSES.includes(entry.status) && KEY_PATTERN.test(key) && !key.startsWith(`${entry.status}_`)) {
+    errors.push({ field: 'status', message: `must match the "${key.split('_')[0]}_" prefix` });
+  }
+  return errors;
+}
+
 // ==============================
 // StorageService Class
 // ==============================
@@ -190,7 +310,9 @@ class StorageService {
   constructor() {
     const defaultPath = path.join(__dirname, '../data/storage_data.json');
     this.storageDataPath = process.env.STORAGE_PATH || defaultPath;
+    this.loadError = null;
     this.storageData = this.loadStorageData();
+    if (process.env.STORAGE_WATCH !== 'false') this.watchStorageFile();
   }
 
   loadStorageData() {
@@ -207,10 +329,117 @@ class StorageService {
       }
     } catch (err) {
       console.error('❌ Error loading storage data:', err);
+      this.loadError = err.message;
       return DEFAULT_STORAGE_DATA;
     }
   }
 
+  // For the readiness probe: running on the built-in defaults after a
+  // failed load counts as not ready.
+  status() {
+    const entries = Object.keys(this.storageData).length;
+    return { ok: !this.loadError && entries > 0, entries, error: this.loadError };
+  }
+
+  // Write the current data back via a temp file + rename so readers never
+  // see a half-written file.
+  saveStorageData() {
+    const tmpPath = `${this.storageDataPath}.${process.pid}.tmp`;
+    const json = JSON.stringify(this.storageData, null, 2);
+    fs.writeFileSync(tmpPath, json);
+    fs.renameSync(tmpPath, this.storageDataPath);
+    this.lastWritten = json;
+  }
+
+  // Reload after manual edits. Invalid JSON or entries are reported and
+  // the previous data is kept.
+  reloadStorageData() {
+    let data;
+    try {
+      const json = fs.readFileSync(this.storageDataPath, 'utf8');
+      if (json === this.lastWritten) return false;
+      data = JSON.parse(json);
+    } catch (err) {
+      console.error('❌ Storage data reload failed, keeping previous data:', err.message);
+      return false;
+    }
+
+    const invalid = Object.entries(data)
+      .map(([key, entry]) => ({ key, errors: validateEntry(key, entry) }))
+      .filter(({ errors }) => errors.length);
+    if (invalid.length) {
+      for (const { key, errors } of invalid) {
+        console.error(`❌ Invalid storage entry "${key}":`, errors.map((e) => `${e.field} ${e.message}`).join('; '));
+      }
+      console.error('❌ Storage data reload rejected, keeping previous data');
+      return false;
+    }
+
+    this.storageData = data;
+    this.loadError = null;
+    console.log(`🔄 Reloaded ${Object.keys(data).length} storage entries from ${this.storageDataPath}`);
+    return true;
+  }
+
+  // Watch the directory rather than the file so editors that save by
+  // replacing the file are picked up too.
+  watchStorageFile() {
+    const dir = path.dirname(this.storageDataPath);
+    const file = path.basename(this.storageDataPath);
+    try {
+      this.watcher = fs.watch(dir, (eventType, filename) => {
+        if (filename !== file) return;
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => {
+          if (fs.existsSync(this.storageDataPath)) this.reloadStorageData();
+        }, 200);
+      });
+      this.watcher.unref();
+    } catch (err) {
+      console.warn('⚠️ Could not watch storage data for changes:', err.message);
+    }
+  }
+
+  // ==============================
+  // Admin edits
+  // ==============================
+  createEntry(name, entry) {
+    const key = this.normalizeLabel(name);
+    if (this.storageData[key]) throw new HttpError(409, `Entry "${key}" already exists`);
+    return this.writeEntry(key, entry);
+  }
+
+  replaceEntry(name, entry) {
+    const key = this.normalizeLabel(name);
+    if (!this.storageData[key]) return null;
+    return this.writeEntry(key, entry);
+  }
+
+  updateEntry(name, changes) {
+    const key = this.normalizeLabel(name);
+    if (!this.storageData[key]) return null;
+    return this.writeEntry(key, { ...this.storageData[key], ...changes });
+  }
+
+  deleteEntry(name) {
+    const key = this.normalizeLabel(name);
+    if (!this.storageData[key]) return false;
+    delete this.storageData[key];
+    this.saveStorageData();
+    console.log(`🗑️ Deleted storage entry "${key}"`);
+    return true;
+  }
+
+  writeEntry(key, entry) {
+    const errors = validateEntry(key, entry);
+    if (errors.length) throw new HttpError(400, `Invalid storage entry "${key}"`, errors);
+
+    this.storageData[key] = entry;
+    this.saveStorageData();
+    console.log(`✏️ Saved storage entry "${key}"`);
+    return { name: key, ...entry };
+  }
+
   normalizeLabel(label) {
     if (!label) return '';
     let formatted = label.trim();
@@ -231,7 +460,40 @@ class StorageService {
     return formatted;
   }
 
-  getStorageData(itemName) {
+  // ==============================
+  // Lookup
+  // ==============================
+  // Base item names ("Apple") and the keys stored for each.
+  getItems() {
+    const items = {};
+    for (const key of Object.keys(this.storageData)) {
+      const { status, name } = splitStatus(key);
+      const item = status ? name : key;
+      (items[item] = items[item] || []).push(key);
+    }
+    return items;
+  }
+
+  // Rebuilt whenever the set of keys changes (admin edits, reloads).
+  getMatcher() {
+    const signature = Object.keys(this.storageData).join('|');
+    if (!this.matcher || this.matcherSignature !== signature) {
+      this.matcher = new ItemMatcher({
+        items: Object.keys(this.getItems()),
+        translations: localeService.itemNameTranslations(),
+        threshold: FUZZY_THRESHOLD,
+      });
+      this.matcherSignature = signature;
+    }
+    return this.matcher;
+  }
+
+  // Map a user-supplied name onto the key it's stored under, or null.
+  // Exact (case-insensitive) keys win; otherwise "fresh apples" style names
+  // go through alias, plural and fuzzy matching. Bare names ("apple") only
+  // resolve when a `defaultStatus` is given. Callers often try other
+  // lookups after a miss, so it's up to them to report unknown items.
+  resolveKey(itemName, { defaultStatus = null } = {}) {
     if (!itemName || typeof itemName !== 'string') {
       console.warn('⚠️ Invalid item name:', itemName);
       return null;
@@ -239,14 +501,87 @@ class StorageService {
 
     const normalized = this.normalizeLabel(itemName);
 
-    if (this.storageData[normalized]) return this.storageData[normalized];
+    if (this.storageData[normalized]) return normalized;
+
+    for (const key of Object.keys(this.storageData)) {
+      if (key.toLowerCase() === normalized.toLowerCase()) return key;
+    }
+
+    const { status, name } = splitStatus(itemName);
+    const match = this.getMatcher().resolve(name);
+    const key = match && `${status || defaultStatus}_${match.item}`;
+    return key && this.storageData[key] ? key : null;
+  }
+
+  // Resolve a name to a base item and all its Fresh_/Rotten_ keys:
+  // { item, status, labels, score, matchedOn } or null.
+  resolveItem(itemName) {
+    const { status, name } = splitStatus(itemName);
+    const match = this.getMatcher().resolve(name);
+    if (!match) return null;
+    const labels = this.getItems()[match.item].filter((key) => !status || key.startsWith(`${status}_`));
+    if (!labels.length) return null;
+    return { item: match.item, status, labels, score: match.score, matchedOn: match.matchedOn };
+  }
+
+  // Ranked candidates for /api/storage/search.
+  searchItems(query, { limit = 5, minScore = 0.4 } = {}) {
+    const items = this.getItems();
+    const { name } = splitStatus(query);
+    return this.getMatcher()
+      .search(name, { limit, threshold: minScore })
+      .map(({ item, score, matchedOn }) => ({ item, labels: items[item], score, matchedOn }));
+  }
+
+  getStorageData(itemName) {
+    const key = this.resolveKey(itemName);
+    return key ? this.storageData[key] : null;
+  }
+
+  // Entry with translatable fields and a `display_name` in `locale`.
+  getLocalizedStorageData(itemName, locale = DEFAULT_LOCALE) {
+    const key = this.resolveKey(itemName);
+    return key ? localeService.localizeEntry(key, this.storageData[key], locale) : null;
+  }
 
-    for (const [key, value] of Object.entries(this.storageData)) {
-      if (key.toLowerCase() === normalized.toLowerCase()) return value;
+  getAllLocalizedStorageData(locale = DEFAULT_LOCALE) {
+    const localized = {};
+    for (const [key, entry] of Object.entries(this.storageData)) {
+      localized[key] = localeService.localizeEntry(key, entry, locale);
     }
+    return localized;
+  }
+
+  // Storage guidance for one location/state, e.g. { location: 'freezer' }.
+  // Returns null when the item is unknown.
+  getGuidance(itemName, { location, state = 'whole', unit = 'C', locale = DEFAULT_LOCALE } = {}) {
+    if (location !== undefined && !LOCATIONS.includes(location)) {
+      throw new HttpError(400, `Invalid location "${location}". Use one of: ${LOCATIONS.join(', ')}`);
+    }
+    if (!STATES.includes(state)) {
+      throw new HttpError(400, `Invalid state "${state}". Use one of: ${STATES.join(', ')}`);
+    }
+    if (!TEMPERATURE_UNITS.includes(unit)) {
+      throw new HttpError(400, `Invalid unit "${unit}". Use one of: ${TEMPERATURE_UNITS.join(', ')}`);
+    }
+
+    const entry = this.getStorageData(itemName);
+    if (!entry) return null;
+
+    const { defaultLocation, shelfLifeByLocation, temperature } = withStructure(entry);
+    const where = location || defaultLocation;
+    // Rotten items shouldn't be stored anywhere.
+    const days = entry.status === 'Rotten' ? undefined : (shelfLifeByLocation[where] || {})[state];
+    const range = temperature[where] || LOCATION_TEMPERATURES[where];
 
-    console.warn(`⚠️ No storage data found for "${itemName}"`);
-    return null;
+    return {
+      location: where,
+      state,
+      recommended: days !== undefined,
+      shelf_life: days === undefined ? null : formatDuration(days, localeService.unitWords(locale)),
+      temperature: formatTemperatureRange(range, unit),
+      locations: Object.keys(shelfLifeByLocation),
+    };
   }
 
   getAllStorageData() {
@@ -258,6 +593,9 @@ const storageService = new StorageService();
 
 module.exports = {
   StorageService,
+  validateEntry,
+  LOCATIONS,
+  STATES,
   getStorageData: (itemName) => storageService.getStorageData(itemName),
   storageService
 };
\ No newline at end of file
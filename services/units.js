@@ -0,0 +1,54 @@
+// ==============================
+// Unit conversion & formatting
+// ==============================
+const TEMPERATURE_UNITS = ['C', 'F'];
+
+function cToF(celsius) {
+  return Math.round((celsius * 9) / 5 + 32);
+}
+
+// Render a °C range in the requested unit, e.g. "0–4°C" or "32–39°F".
+function formatTemperatureRange({ min_c: minC, max_c: maxC }, unit = 'C') {
+  const convert = unit === 'F' ? cToF : (c) => c;
+  const min = convert(minC);
+  const max = convert(maxC);
+  return {
+    min,
+    max,
+    unit,
+    display: min === max ? `${min}°${unit}` : `${min}–${max}°${unit}`,
+  };
+}
+
+const ENGLISH_UNITS = {
+  hour: { one: 'hour', other: 'hours' },
+  day: { one: 'day', other: 'days' },
+  week: { one: 'week', other: 'weeks' },
+  month: { one: 'month', other: 'months' },
+  year: { one: 'year', other: 'years' },
+};
+
+function plural(count, unit, words) {
+  const forms = words[unit] || ENGLISH_UNITS[unit];
+  return `${count} ${count === 1 ? forms.one : forms.other}`;
+}
+
+// Shelf lives are stored in (possibly fractional) days; render them in the
+// largest unit that reads naturally. `words` supplies localized unit names.
+function formatDuration(days, words = ENGLISH_UNITS) {
+  const hours = Math.round(days * 24);
+  let display;
+  if (days < 1) display = plural(hours, 'hour', words);
+  else if (days < 14) display = plural(Math.round(days), 'day', words);
+  else if (days < 60) display = plural(Math.round(days / 7), 'week', words);
+  else if (days < 365) display = plural(Math.round(days / 30), 'month', words);
+  else display = plural(Math.round(days / 365), 'year', words);
+  return { days, hours, display };
+}
+
+module.exports = {
+  TEMPERATURE_UNITS,
+  cToF,
+  formatTemperatureRange,
+  formatDuration,
+};
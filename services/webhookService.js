@@ -0,0 +1,348 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+require('dotenv').config();
+
+const { JsonStore } = require('./jsonStore');
+const { HttpError } = require('./errors');
+
+const WEBHOOK_EVENTS = ['item.expiring_soon', 'item.expired'];
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const BACKOFF_BASE_MS = parseInt(process.env.WEBHOOK_BACKOFF_MS, 10) || 30 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000;
+const DELIVERY_LOG_SIZE = parseInt(process.env.WEBHOOK_LOG_SIZE, 10) || 500;
+// Hostnames webhooks may point at. When set, no other host is accepted,
+// and these are trusted even on internal addresses.
+const ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// ==============================
+// Webhook targets
+// ==============================
+// Webhooks are registered by API clients, so they must not reach the
+// server's own network (SSRF): loopback, private, link-local (including
+// the 169.254.169.254 cloud metadata endpoint), CGNAT, unspecified and
+// multicast/reserved addresses are refused, at registration and again on
+// every delivery, when the address actually connected to is checked.
+// IPv6 addresses that carry an IPv4 address (mapped, compatible,
+// translated, NAT64 and 6to4) are judged by that IPv4 address.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+// Local-use NAT64 and Teredo embed IPv4 addresses in ways that can't be
+// checked here, so they are refused outright.
+for (const [address, prefix] of [
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b:1::', 48], ['2001::', 32],
+]) BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+
+// Prefixes whose last 32 bits are an IPv4 address.
+const IPV4_EMBEDDING = new net.BlockList();
+for (const address of ['::', '::ffff:0:0', '::ffff:0:0:0', '64:ff9b::']) IPV4_EMBEDDING.addSubnet(address, 96, 'ipv6');
+const SIX_TO_FOUR = new net.BlockList();
+SIX_TO_FOUR.addSubnet('2002::', 16, 'ipv6');
+
+// "::ffff:10.0.0.1", "64:ff9b::a00:1", … → the 16 address bytes.
+function ipv6Bytes(address) {
+  let text = address.replace(/%.*$/, '');
+  const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const groupsOf = (part) => (part ? part.split(':') : []);
+  const groups = tail === undefined
+    ? groupsOf(head)
+    : [...groupsOf(head), ...Array(8 - groupsOf(head).length - groupsOf(tail).length).fill('0'), ...groupsOf(tail)];
+  const bytes = Buffer.alloc(16);
+  groups.forEach((group, i) => bytes.writeUInt16BE(parseInt(group, 16), i * 2));
+  return bytes;
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return BLOCKED_ADDRESSES.check(address, 'ipv4');
+  if (family !== 6) return true;
+  const plain = address.replace(/%.*$/, '');
+  const bytes = ipv6Bytes(plain);
+  if (IPV4_EMBEDDING.check(plain, 'ipv6')) return BLOCKED_ADDRESSES.check(bytes.subarray(12).join('.'), 'ipv4');
+  if (SIX_TO_FOUR.check(plain, 'ipv6')) return BLOCKED_ADDRESSES.check(bytes.subarray(2, 6).join('.'), 'ipv4');
+  return BLOCKED_ADDRESSES.check(plain, 'ipv6');
+}
+
+function hostnameOf(url) {
+  return new URL(url).hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+}
+
+// Resolves the URL's host and rejects it when it isn't allowed; the Error's
+// message says why.
+async function checkTarget(url) {
+  const hostname = hostnameOf(url);
+  if (ALLOWED_HOSTS.length) {
+    if (ALLOWED_HOSTS.includes(hostname)) return;
+    throw new Error(`Host ${hostname} is not in WEBHOOK_ALLOWED_HOSTS`);
+  }
+  const addresses = net.isIP(hostname)
+    ? [hostname]
+    : (await dns.promises.lookup(hostname, { all: true })).map((entry) => entry.address);
+  const blocked = addresses.find(isBlockedAddress);
+  if (blocked) throw new Error(`${hostname} resolves to a private or internal address (${blocked})`);
+}
+
+// dns.lookup for delivery requests that refuses internal addresses, so a
+// host that re-resolves after registration can't be used to reach them.
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address.map((entry) => entry.address) : [address];
+    const blocked = ALLOWED_HOSTS.includes(hostname.toLowerCase()) ? null : addresses.find(isBlockedAddress);
+    if (blocked) return callback(new Error(`${hostname} resolves to a private or internal address (${blocked})`));
+    callback(null, address, family);
+  });
+}
+
+// Webhooks belong to the household or API key that registered them
+// (`clientId`, see scopeOf) and only get that owner's events. An undefined
+// clientId matches everything, for the retry job.
+function ownedBy(record, clientId) {
+  return clientId === undefined || record.clientId === clientId;
+}
+
+// POST a JSON body; resolves with the status code, rejects on network errors.
+function postJson(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers },
+      timeout: TIMEOUT_MS,
+      lookup: safeLookup,
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('timeout', () => req.destroy(new Error(`Timed out after ${TIMEOUT_MS}ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// ==============================
+// WebhookService Class
+// ==============================
+// Payloads are signed with the webhook's secret:
+//   X-FreshTrack-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+// Failed deliveries are retried with exponential backoff up to MAX_ATTEMPTS
+// and kept in a bounded delivery log so they can be replayed.
+class WebhookService {
+  constructor(filePath) {
+    const defaultPath = path.join(__dirname, '../data/webhooks.json');
+    this.store = new JsonStore(filePath || process.env.WEBHOOKS_PATH || defaultPath, {
+      webhooks: [],
+      deliveries: [],
+    });
+    this.inFlight = new Set();
+  }
+
+  get webhooks() {
+    return this.store.data.webhooks;
+  }
+
+  get deliveries() {
+    return this.store.data.deliveries;
+  }
+
+  publicWebhook(webhook) {
+    const { secret, ...rest } = webhook;
+    return { ...rest, secret: `${secret.slice(0, 4)}…` };
+  }
+
+  async registerWebhook({ url, events = WEBHOOK_EVENTS, secret } = {}, { clientId = null } = {}) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new HttpError(400, 'url must be a valid http(s) URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw new HttpError(400, 'url must be a valid http(s) URL');
+    if (!Array.isArray(events) || !events.length || events.some((e) => !WEBHOOK_EVENTS.includes(e))) {
+      throw new HttpError(400, `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      throw new HttpError(400, 'secret must be a string of at least 16 characters');
+    }
+    try {
+      await checkTarget(parsed.toString());
+    } catch (err) {
+      throw new HttpError(400, `url is not allowed: ${err.message}`);
+    }
+
+    const webhook = {
+      id: crypto.randomUUID(),
+      clientId,
+      url: parsed.toString(),
+      events,
+      secret: secret || crypto.randomBytes(24).toString('hex'),
+      createdAt: new Date().toISOString(),
+    };
+    this.webhooks.push(webhook);
+    this.store.save();
+    return webhook;
+  }
+
+  listWebhooks(clientId) {
+    return this.webhooks.filter((w) => ownedBy(w, clientId)).map((webhook) => this.publicWebhook(webhook));
+  }
+
+  removeWebhook(id, clientId) {
+    const index = this.webhooks.findIndex((w) => w.id === id && ownedBy(w, clientId));
+    if (index === -1) return false;
+    this.webhooks.splice(index, 1);
+    this.store.save();
+    return true;
+  }
+
+  listDeliveries({ status, webhookId, clientId } = {}) {
+    return this.deliveries
+      .filter((d) => ownedBy(d, clientId) && (!status || d.status === status) && (!webhookId || d.webhookId === webhookId))
+      .slice()
+      .reverse();
+  }
+
+  // Queue one delivery per webhook of `clientId` subscribed to the event
+  // and try them right away. Events of data without an owner go nowhere.
+  async emit(event, data, { clientId = null } = {}) {
+    const targets = clientId ? this.webhooks.filter((w) => w.clientId === clientId && w.events.includes(event)) : [];
+    if (!targets.length) return [];
+
+    const createdAt = new Date().toISOString();
+    const queued = targets.map((webhook) => ({
+      id: crypto.randomUUID(),
+      webhookId: webhook.id,
+      clientId,
+      event,
+      payload: { id: crypto.randomUUID(), event, createdAt, data },
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      lastStatusCode: null,
+      nextAttemptAt: createdAt,
+      createdAt,
+      deliveredAt: null,
+    }));
+    this.deliveries.push(...queued);
+    this.trimLog();
+    this.store.save();
+
+    await Promise.all(queued.map((delivery) => this.attempt(delivery)));
+    return queued;
+  }
+
+  async attempt(delivery) {
+    if (this.inFlight.has(delivery.id)) return delivery;
+    const webhook = this.webhooks.find((w) => w.id === delivery.webhookId);
+    if (!webhook) {
+      delivery.status = 'failed';
+      delivery.lastError = 'Webhook no longer registered';
+      this.store.save();
+      return delivery;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+    delivery.attempts += 1;
+    this.inFlight.add(delivery.id);
+
+    try {
+      await checkTarget(webhook.url);
+      const statusCode = await postJson(webhook.url, body, {
+        'X-FreshTrack-Event': delivery.event,
+        'X-FreshTrack-Delivery': delivery.id,
+        'X-FreshTrack-Timestamp': timestamp,
+        'X-FreshTrack-Signature': `sha256=${signature}`,
+      });
+      delivery.lastStatusCode = statusCode;
+      if (statusCode < 200 || statusCode >= 300) throw new Error(`Endpoint responded with ${statusCode}`);
+
+      delivery.status = 'delivered';
+      delivery.lastError = null;
+      delivery.deliveredAt = new Date().toISOString();
+      delivery.nextAttemptAt = null;
+      console.log(`📨 Delivered ${delivery.event} to ${webhook.url}`);
+    } catch (err) {
+      delivery.lastError = err.message;
+      if (delivery.attempts >= MAX_ATTEMPTS) {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = null;
+        console.warn(`⚠️ Giving up on ${delivery.event} to ${webhook.url} after ${delivery.attempts} attempts`);
+      } else {
+        const backoff = BACKOFF_BASE_MS * 2 ** (delivery.attempts - 1);
+        delivery.nextAttemptAt = new Date(Date.now() + backoff).toISOString();
+        console.warn(`⚠️ Delivery to ${webhook.url} failed (${err.message}), retrying in ${backoff / 1000}s`);
+      }
+    } finally {
+      this.inFlight.delete(delivery.id);
+    }
+    this.store.save();
+    return delivery;
+  }
+
+  // Scheduler job: retry pending deliveries whose backoff has elapsed.
+  async retryDue(now = Date.now()) {
+    const due = this.deliveries.filter(
+      (d) => d.status === 'pending' && new Date(d.nextAttemptAt).getTime() <= now
+    );
+    for (const delivery of due) await this.attempt(delivery);
+    return due.length;
+  }
+
+  // Give a failed delivery a fresh set of attempts, starting now.
+  async replay(id, clientId) {
+    const delivery = this.deliveries.find((d) => d.id === id && ownedBy(d, clientId));
+    if (!delivery) return null;
+    if (delivery.status === 'delivered') throw new HttpError(409, 'Delivery already succeeded');
+
+    delivery.status = 'pending';
+    delivery.attempts = 0;
+    delivery.nextAttemptAt = new Date().toISOString();
+    return this.attempt(delivery);
+  }
+
+  async replayFailed({ webhookId, clientId } = {}) {
+    const failed = this.listDeliveries({ status: 'failed', webhookId, clientId });
+    const results = [];
+    for (const delivery of failed) results.push(await this.replay(delivery.id));
+    return results;
+  }
+
+  // Drop the oldest finished deliveries once the log is over its size;
+  // pending ones are kept until they resolve.
+  trimLog() {
+    let excess = this.deliveries.length - DELIVERY_LOG_SIZE;
+    for (let i = 0; i < this.deliveries.length && excess > 0; ) {
+      if (this.deliveries[i].status === 'pending') {
+        i++;
+      } else {
+        this.deliveries.splice(i, 1);
+        excess--;
+      }
+    }
+  }
+}
+
+const webhookService = new WebhookService();
+
+module.exports = {
+  WebhookService,
+  webhookService,
+  isBlockedAddress,
+  WEBHOOK_EVENTS,
+};
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+require('dotenv').config();
+
+const { HttpError } = require('./errors');
+const { metrics } = require('./metrics');
+const { currentRequestId } = require('./logger');
+
+const CONCURRENCY = process.env.DETECTION_CONCURRENCY === '0' ? 0 : parseInt(process.env.DETECTION_CONCURRENCY, 10) || 2;
+const MAX_QUEUE = parseInt(process.env.DETECTION_MAX_QUEUE, 10) || 20;
+const TIMEOUT_MS = parseInt(process.env.DETECTION_TIMEOUT_MS, 10) || 60 * 1000;
+
+// ==============================
+// WorkerPool Class
+// ==============================
+// Runs detection tasks on at most `size` worker threads. Tasks beyond that
+// wait in a FIFO queue of at most `maxQueue` entries; anything more is
+// rejected with a 429. A task that runs longer than `timeoutMs` is failed
+// with a 504 and its worker is terminated and replaced, so a stuck
+// inference can't hold a slot forever. Workers start lazily.
+//
+// With `size` 0 tasks run one at a time on the calling thread instead (no
+// timeout), via the worker script's exported runDetection(). Tests use
+// this to inject a fake ONNX session (imageProcessor.setSessionFactory).
+class WorkerPool {
+  constructor({
+    script = path.join(__dirname, 'detectionWorker.js'),
+    size = CONCURRENCY,
+    maxQueue = MAX_QUEUE,
+    timeoutMs = TIMEOUT_MS,
+  } = {}) {
+    this.script = script;
+    this.size = size;
+    this.maxQueue = maxQueue;
+    this.timeoutMs = timeoutMs;
+    this.workers = new Set();
+    this.idle = [];
+    this.queue = [];
+    this.nextId = 1;
+    this.inline = Promise.resolve();
+  }
+
+  isFull() {
+    return this.queue.length >= this.maxQueue;
+  }
+
+  // Resolves with the worker's result. `onStart` is called when the task
+  // leaves the queue and starts running.
+  run(payload, { onStart } = {}) {
+    if (this.isFull()) {
+      return Promise.reject(new HttpError(429, 'Detection queue is full, try again later'));
+    }
+    if (this.size === 0) return this.runInline(payload, { onStart });
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextId++, payload, requestId: currentRequestId(), onStart, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  runInline(payload, { onStart } = {}) {
+    const { runDetection } = require(this.script);
+    const run = this.inline.then(() => {
+      if (onStart) onStart();
+      return runDetection(payload);
+    });
+    this.inline = run.catch(() => {});
+    return run;
+  }
+
+  dispatch() {
+    while (this.queue.length) {
+      const worker = this.idle.pop() || (this.workers.size < this.size ? this.spawn() : null);
+      if (!worker) return;
+      this.start(worker, this.queue.shift());
+    }
+  }
+
+  spawn() {
+    const worker = new Worker(this.script);
+    worker.unref();
+    worker.task = null;
+    worker.on('message', (message) => this.finish(worker, message));
+    worker.on('error', (err) => this.fail(worker, err));
+    worker.on('exit', (code) => {
+      if (worker.task) this.fail(worker, new Error(`Detection worker exited with code ${code}`));
+      this.remove(worker);
+    });
+    this.workers.add(worker);
+    return worker;
+  }
+
+  start(worker, task) {
+    worker.task = task;
+    task.timer = setTimeout(() => {
+      console.warn(`⚠️ Detection task ${task.id} timed out after ${this.timeoutMs}ms, restarting worker`);
+      this.fail(worker, new HttpError(504, `Detection timed out after ${this.timeoutMs / 1000}s`));
+    }, this.timeoutMs);
+    if (task.onStart) task.onStart();
+    worker.postMessage({ id: task.id, requestId: task.requestId, ...task.payload });
+  }
+
+  finish(worker, { id, result, error, events }) {
+    metrics.applyEvents(events);
+    const { task } = worker;
+    if (!task || task.id !== id) return;
+    this.settle(worker);
+    if (error) task.reject(new Error(error));
+    else task.resolve(result);
+    this.release(worker);
+  }
+
+  // The worker is in an unknown state: drop it along with whatever files
+  // it didn't get to clean up.
+  fail(worker, err) {
+    const { task } = worker;
+    if (!task) return;
+    this.settle(worker);
+    removeFiles(task.payload.filePaths);
+    task.reject(err);
+    this.remove(worker);
+  }
+
+  settle(worker) {
+    clearTimeout(worker.task.timer);
+    worker.task = null;
+  }
+
+  release(worker) {
+    this.idle.push(worker);
+    this.dispatch();
+  }
+
+  remove(worker) {
+    if (!this.workers.delete(worker)) return;
+    this.idle = this.idle.filter((w) => w !== worker);
+    worker.terminate();
+    this.dispatch();
+  }
+
+  stats() {
+    return {
+      concurrency: this.size,
+      workers: this.workers.size,
+      busy: this.workers.size - this.idle.length,
+      queued: this.queue.length,
+      maxQueue: this.maxQueue,
+    };
+  }
+
+  async close() {
+    for (const task of this.queue.splice(0)) task.reject(new Error('Worker pool closed'));
+    await Promise.all([...this.workers].map((worker) => worker.terminate()));
+    this.workers.clear();
+    this.idle = [];
+  }
+}
+
+// Files of a task that never reached (or never finished in) a worker.
+function removeFiles(filePaths = []) {
+  for (const filePath of filePaths) {
+    fs.unlink(filePath, (err) => {
+      if (err && err.code !== 'ENOENT') console.warn('⚠️ Could not delete uploaded file:', err.message);
+    });
+  }
+}
+
+const detectionPool = new WorkerPool();
+
+module.exports = { WorkerPool, detectionPool, removeFiles };
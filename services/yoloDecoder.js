@@ -0,0 +1,191 @@
+// ==============================
+// YOLO output decoding
+// ==============================
+// Turns a raw detection tensor into labelled boxes in original-image space.
+// Supported layouts (nc = number of classes, N = number of anchors):
+//   yolov8:  [1, 4 + nc, N] (ultralytics export) or transposed [1, N, 4 + nc]
+//   yolov5:  [1, N, 5 + nc] with an objectness column, or transposed [1, 5 + nc, N]
+
+const DEFAULT_IOU_THRESHOLD = 0.4;
+const MAX_NMS_BOXES = 300;
+
+// Work out how to read an output tensor from its shape. `format` ("yolov8"
+// or "yolov5", e.g. from a model manifest) rules out the other layout when
+// a shape could be read either way.
+function detectLayout(dims, numClasses, format = "auto") {
+  if (!Array.isArray(dims) || dims.length !== 3) {
+    throw new Error(`Unsupported YOLO output shape [${dims}]: expected 3 dimensions`);
+  }
+  const [, a, b] = dims;
+
+  const layouts = [
+    a === 4 + numClasses && b !== 4 + numClasses &&
+      { format: "yolov8", hasObjectness: false, numBoxes: b, numAttrs: a, channelsFirst: true },
+    b === 4 + numClasses && { format: "yolov8", hasObjectness: false, numBoxes: a, numAttrs: b, channelsFirst: false },
+    b === 5 + numClasses && { format: "yolov5", hasObjectness: true, numBoxes: a, numAttrs: b, channelsFirst: false },
+    a === 5 + numClasses && { format: "yolov5", hasObjectness: true, numBoxes: b, numAttrs: a, channelsFirst: true },
+  ];
+  const layout = layouts.find((l) => l && (format === "auto" || l.format === format));
+  if (!layout) {
+    const expected = format === "auto" ? "" : ` in ${format} format`;
+    throw new Error(`Unsupported YOLO output shape [${dims}] for ${numClasses} classes${expected}`);
+  }
+  return layout;
+}
+
+// For each class, the index of its other-status class ("Fresh_Apple" ↔
+// "Rotten_Apple"), or -1 when it has none.
+function counterpartIndexes(classNames) {
+  return classNames.map((name) => {
+    const match = /^(Fresh|Rotten)_(.+)$/.exec(name);
+    if (!match) return -1;
+    return classNames.indexOf(`${match[1] === "Fresh" ? "Rotten" : "Fresh"}_${match[2]}`);
+  });
+}
+
+// Decode candidate boxes above the confidence threshold. Boxes are
+// returned as corners in model-input pixel space. With `counterparts`
+// (see counterpartIndexes), each box also carries the score of its best
+// class's counterpart at the same anchor as `counterScore`.
+function decodeBoxes(data, layout, { numClasses, confThreshold, counterparts = null }) {
+  const { numBoxes, numAttrs, channelsFirst, hasObjectness } = layout;
+  const at = channelsFirst
+    ? (box, attr) => data[attr * numBoxes + box]
+    : (box, attr) => data[box * numAttrs + attr];
+  const classOffset = hasObjectness ? 5 : 4;
+  const candidates = [];
+
+  for (let i = 0; i < numBoxes; i++) {
+    const objectness = hasObjectness ? at(i, 4) : 1;
+    if (objectness <= confThreshold) continue;
+
+    let bestScore = 0;
+    let bestClass = -1;
+    for (let c = 0; c < numClasses; c++) {
+      const score = at(i, classOffset + c);
+      if (score > bestScore) {
+        bestScore = score;
+        bestClass = c;
+      }
+    }
+
+    const score = objectness * bestScore;
+    if (bestClass < 0 || score <= confThreshold) continue;
+
+    const cx = at(i, 0);
+    const cy = at(i, 1);
+    const w = at(i, 2);
+    const h = at(i, 3);
+    const candidate = {
+      classId: bestClass,
+      score,
+      x1: cx - w / 2,
+      y1: cy - h / 2,
+      x2: cx + w / 2,
+      y2: cy + h / 2,
+    };
+    const counterpart = counterparts ? counterparts[bestClass] : -1;
+    if (counterpart >= 0) candidate.counterScore = objectness * at(i, classOffset + counterpart);
+    candidates.push(candidate);
+  }
+  return candidates;
+}
+
+function iou(a, b) {
+  const ix = Math.max(0, Math.min(a.x2, b.x2) - Math.max(a.x1, b.x1));
+  const iy = Math.max(0, Math.min(a.y2, b.y2) - Math.max(a.y1, b.y1));
+  const intersection = ix * iy;
+  const union = (a.x2 - a.x1) * (a.y2 - a.y1) + (b.x2 - b.x1) * (b.y2 - b.y1) - intersection;
+  return union > 0 ? intersection / union : 0;
+}
+
+// Greedy class-aware NMS: boxes only suppress boxes of the same class.
+function nonMaxSuppression(boxes, iouThreshold = DEFAULT_IOU_THRESHOLD, maxBoxes = MAX_NMS_BOXES) {
+  const sorted = [...boxes].sort((a, b) => b.score - a.score);
+  const kept = [];
+
+  for (const box of sorted) {
+    if (kept.length >= maxBoxes) break;
+    const suppressed = kept.some((k) => k.classId === box.classId && iou(k, box) > iouThreshold);
+    if (!suppressed) kept.push(box);
+  }
+  return kept;
+}
+
+// Undo the resize/padding applied in preprocessing and clamp to the image.
+// `transform` is { originalWidth, originalHeight, scaleX, scaleY, padX, padY }.
+function toImageSpace(box, transform) {
+  const { originalWidth, originalHeight, scaleX, scaleY, padX = 0, padY = 0 } = transform;
+  const clamp = (v, max) => Math.min(Math.max(v, 0), max);
+  const x1 = clamp((box.x1 - padX) / scaleX, originalWidth);
+  const y1 = clamp((box.y1 - padY) / scaleY, originalHeight);
+  const x2 = clamp((box.x2 - padX) / scaleX, originalWidth);
+  const y2 = clamp((box.y2 - padY) / scaleY, originalHeight);
+  return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+}
+
+function round(value, digits) {
+  return Number(value.toFixed(digits));
+}
+
+// Full pipeline: layout detection → decode → NMS → original-image coordinates.
+// `batchIndex` selects one image from a batched [B, ...] output. Fresh_X and
+// Rotten_X detections also get `counterpartConfidence`, the other status's
+// probability for the same box.
+function decodeYoloOutput(output, options) {
+  const {
+    classNames,
+    transform,
+    confThreshold = 0.25,
+    iouThreshold = DEFAULT_IOU_THRESHOLD,
+    maxDetections = MAX_NMS_BOXES,
+    classes = null,
+    format = "auto",
+    batchIndex = 0,
+  } = options;
+  const layout = detectLayout(output.dims, classNames.length, format);
+  const stride = layout.numBoxes * layout.numAttrs;
+  const data = output.data.subarray(batchIndex * stride, (batchIndex + 1) * stride);
+  let candidates = decodeBoxes(data, layout, {
+    numClasses: classNames.length,
+    confThreshold,
+    counterparts: counterpartIndexes(classNames),
+  });
+  // Filter before NMS so excluded classes don't use up maxDetections.
+  if (classes) candidates = candidates.filter((box) => classes.includes(classNames[box.classId]));
+  const kept = nonMaxSuppression(candidates, iouThreshold, maxDetections);
+
+  return kept.map((box) => {
+    const pixels = toImageSpace(box, transform);
+    const detection = {
+      label: classNames[box.classId] || "Unknown",
+      confidence: round(box.score, 2),
+      bbox: {
+        x: round(pixels.x / transform.originalWidth, 4),
+        y: round(pixels.y / transform.originalHeight, 4),
+        width: round(pixels.width / transform.originalWidth, 4),
+        height: round(pixels.height / transform.originalHeight, 4),
+      },
+      bboxPixels: {
+        x: Math.round(pixels.x),
+        y: Math.round(pixels.y),
+        width: Math.round(pixels.width),
+        height: Math.round(pixels.height),
+      },
+    };
+    if (box.counterScore !== undefined) detection.counterpartConfidence = round(box.counterScore, 4);
+    return detection;
+  });
+}
+
+module.exports = {
+  detectLayout,
+  counterpartIndexes,
+  decodeBoxes,
+  nonMaxSuppression,
+  iou,
+  toImageSpace,
+  decodeYoloOutput,
+  DEFAULT_IOU_THRESHOLD,
+  MAX_NMS_BOXES,
+};
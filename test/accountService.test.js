@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useTempData } = require('./helpers');
+
+useTempData();
+const { accountService, hashPassword, verifyPassword } = require('../services/accountService');
+const { pantryService } = require('../services/pantryService');
+const { webhookService } = require('../services/webhookService');
+
+let counter = 0;
+function register(input = {}) {
+  counter += 1;
+  return accountService.register({ email: `user${counter}@example.com`, password: 'correct horse', ...input });
+}
+
+test('passwords are stored as salted scrypt hashes', async () => {
+  const first = await hashPassword('correct horse');
+  const second = await hashPassword('correct horse');
+  assert.match(first, /^scrypt\$16384\$8\$1\$/);
+  assert.notEqual(first, second);
+  assert.equal(await verifyPassword('correct horse', first), true);
+  assert.equal(await verifyPassword('battery staple', first), false);
+});
+
+test('registration validates input and gives each user their own household', async () => {
+  await assert.rejects(accountService.register({ email: 'nope', password: 'short' }), (error) => error.status === 400 && error.details.length === 2);
+
+  const user = await register({ name: 'Ana', email: ' Ana@Example.com ' });
+  assert.equal(user.email, 'ana@example.com');
+  assert.equal(user.role, 'owner');
+  assert.equal(accountService.getHousehold(user.householdId).name, "Ana's household");
+  assert.equal('passwordHash' in accountService.publicUser(user), false);
+  await assert.rejects(register({ email: 'ANA@example.com' }), { status: 409 });
+
+  assert.equal((await accountService.login({ email: 'ana@example.com', password: 'correct horse' })).id, user.id);
+  await assert.rejects(accountService.login({ email: 'ana@example.com', password: 'wrong password' }), { status: 401 });
+  await assert.rejects(accountService.login({ email: 'nobody@example.com', password: 'correct horse' }), { status: 401 });
+  await assert.rejects(accountService.login({ email: 'ana@example.com', password: 'x'.repeat(257) }), { status: 400 });
+  await assert.rejects(accountService.login({ email: 'ana@example.com' }), { status: 400 });
+});
+
+test('session tokens are signed, expire and are revoked on logout', async () => {
+  const user = await register();
+  const { token, expiresAt } = accountService.issueToken(user);
+  assert.equal(accountService.authenticate(token), user);
+
+  const [payload, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), sub: 'someone-else' })).toString('base64url');
+  assert.equal(accountService.authenticate(`${forged}.${signature}`), null);
+  assert.equal(accountService.authenticate(token, new Date(expiresAt).getTime() + 1000), null);
+  assert.equal(accountService.authenticate('garbage'), null);
+
+  accountService.logout(user);
+  assert.equal(accountService.authenticate(token), null);
+  assert.equal(accountService.authenticate(accountService.issueToken(user).token), user);
+});
+
+test('invite codes add members until they are used up', async () => {
+  const owner = await register();
+  assert.throws(() => accountService.createInvite(owner, { maxUses: 0 }), { status: 400 });
+  const invite = accountService.createInvite(owner, { maxUses: 2 });
+  assert.match(invite.code, /^[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+
+  const member = await register({ inviteCode: invite.code.toLowerCase().replace('-', ' ') });
+  assert.equal(member.householdId, owner.householdId);
+  assert.equal(member.role, 'member');
+
+  // An existing user joins; their empty household goes away.
+  const other = await register();
+  const abandoned = other.householdId;
+  const household = accountService.joinHousehold(other, invite.code);
+  assert.deepEqual(household.members.map((m) => m.role), ['owner', 'member', 'member']);
+  assert.equal(accountService.getHousehold(abandoned), null);
+
+  await assert.rejects(register({ inviteCode: invite.code }), { status: 404 });
+  assert.deepEqual(accountService.listInvites(owner.householdId), []);
+  assert.equal(accountService.prune(), 1);
+});
+
+test('a household always keeps an owner', async () => {
+  const owner = await register();
+  const member = await register({ inviteCode: accountService.createInvite(owner).code });
+
+  assert.throws(() => accountService.setRole(owner.householdId, owner.id, 'member'), { status: 409 });
+  assert.throws(() => accountService.removeMember(owner, owner.id), { status: 409 });
+  assert.throws(() => accountService.removeMember(member, owner.id), { status: 403 });
+  assert.throws(() => accountService.setRole(owner.householdId, member.id, 'admin'), { status: 400 });
+
+  // Hand over ownership, then leave.
+  accountService.setRole(owner.householdId, member.id, 'owner');
+  const shared = owner.householdId;
+  const own = accountService.removeMember(owner, owner.id);
+  assert.notEqual(own.id, shared);
+  assert.deepEqual(own.members.map((m) => [m.id, m.role]), [[owner.id, 'owner']]);
+  assert.deepEqual(accountService.getHousehold(shared).members.map((m) => m.id), [member.id]);
+  assert.throws(() => accountService.removeMember(member, member.id), { status: 409 });
+});
+
+test('pantry items and webhooks are only visible to their household', async () => {
+  const a = `household:${(await register()).householdId}`;
+  const b = `household:${(await register()).householdId}`;
+  const item = pantryService.addItem({ label: 'Fresh_Apple' }, { clientId: a });
+
+  assert.deepEqual(pantryService.listItems({ clientId: a }).map((i) => i.id), [item.id]);
+  assert.deepEqual(pantryService.listItems({ clientId: b }), []);
+  assert.deepEqual(pantryService.listItems({ clientId: null }), []);
+  assert.equal(pantryService.getItem(item.id, b), null);
+  assert.equal(pantryService.updateItem(item.id, { status: 'consumed' }, b), null);
+  assert.equal(pantryService.removeItem(item.id, b), false);
+  // The expiry scan sees every household.
+  assert.ok(pantryService.listItems().some((i) => i.id === item.id));
+
+  const webhook = await webhookService.registerWebhook({ url: 'http://203.0.113.10/hook' }, { clientId: a });
+  assert.deepEqual(webhookService.listWebhooks(a).map((w) => w.id), [webhook.id]);
+  assert.deepEqual(webhookService.listWebhooks(b), []);
+  assert.equal(webhookService.removeWebhook(webhook.id, b), false);
+  assert.deepEqual(await webhookService.emit('item.expired', { item }, { clientId: b }), []);
+  assert.deepEqual(await webhookService.emit('item.expired', { item }, { clientId: null }), []);
+});
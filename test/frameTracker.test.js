@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { fixture } = require('./helpers');
+const { observe, trackObjects, summarizeInventory } = require('../services/frameTracker');
+const { sniffVideoType, parseFps, extractFrames } = require('../services/frameSampler');
+
+function box(x, y, size = 0.2) {
+  return { x, y, width: size, height: size };
+}
+
+function detection(label, confidence, bbox) {
+  return { label, confidence, bbox };
+}
+
+test('observe merges Fresh_X and Rotten_X boxes over the same object', () => {
+  const observations = observe([
+    detection('Fresh_Apple', 0.8, box(0.1, 0.1)),
+    detection('Rotten_Apple', 0.2, box(0.11, 0.1)),
+    detection('Fresh_Apple', 0.7, box(0.6, 0.6)),
+  ]);
+  assert.equal(observations.length, 2);
+  assert.deepEqual(observations[0], { item: 'Apple', bbox: box(0.1, 0.1), confidence: 0.8, freshness: 0.8 });
+});
+
+test('an object moving across frames is reported once', () => {
+  const frames = [0.1, 0.13, 0.16, 0.19].map((x, i) => ({
+    detections: [
+      detection('Fresh_Apple', [0.6, 0.9, 0.8, 0.7][i], box(x, 0.1)),
+      detection('Fresh_Banana', 0.8, box(0.6, 0.6)),
+    ],
+  }));
+  const objects = trackObjects(frames);
+  assert.deepEqual(objects.map((o) => [o.item, o.frames]).sort(), [['Apple', 4], ['Banana', 4]]);
+
+  const apple = objects.find((o) => o.item === 'Apple');
+  assert.equal(apple.label, 'Fresh_Apple');
+  assert.equal(apple.confidence, 0.75);
+  assert.equal(apple.maxConfidence, 0.9);
+  assert.deepEqual([apple.firstFrame, apple.lastFrame, apple.bestFrame], [0, 3, 1]);
+  assert.deepEqual(apple.bbox, box(0.13, 0.1));
+});
+
+test('two apples side by side stay two objects', () => {
+  const frame = { detections: [detection('Fresh_Apple', 0.9, box(0.1, 0.1)), detection('Fresh_Apple', 0.8, box(0.5, 0.1))] };
+  assert.equal(trackObjects([frame, frame, frame]).length, 2);
+});
+
+test('short gaps keep a track, flicker is dropped', () => {
+  const apple = { detections: [detection('Fresh_Apple', 0.9, box(0.1, 0.1))] };
+  const empty = { detections: [] };
+  const flicker = { detections: [detection('Fresh_Apple', 0.9, box(0.1, 0.1)), detection('Fresh_Orange', 0.4, box(0.6, 0.6))] };
+
+  assert.equal(trackObjects([apple, empty, empty, apple]).length, 1);
+  assert.equal(trackObjects([apple, empty, empty, empty, apple], { minFrames: 1 }).length, 2);
+  assert.deepEqual(trackObjects([apple, flicker, apple]).map((o) => o.item), ['Apple']);
+  // A single frame is a photo: nothing to corroborate against.
+  assert.equal(trackObjects([flicker]).length, 2);
+  // Failed frames are skipped.
+  assert.equal(trackObjects([apple, { error: 'bad frame' }, apple])[0].frames, 2);
+});
+
+test('freshness is the confidence-weighted mean across frames', () => {
+  const frames = [
+    { detections: [detection('Fresh_Banana', 0.9, box(0.1, 0.1)), detection('Rotten_Banana', 0.1, box(0.1, 0.1))] },
+    { detections: [detection('Rotten_Banana', 0.6, box(0.1, 0.1)), detection('Fresh_Banana', 0.4, box(0.1, 0.1))] },
+  ];
+  const [banana] = trackObjects(frames);
+  // (0.9 * 0.9 + 0.4 * 0.6) / 1.5
+  assert.equal(banana.freshness, 0.7);
+  assert.equal(banana.label, 'Fresh_Banana');
+  assert.deepEqual(summarizeInventory([banana, { ...banana, freshness: 0.2 }]), [{ item: 'Banana', count: 2, fresh: 1, rotten: 1 }]);
+});
+
+test('videos are recognised by their magic bytes', () => {
+  const mp4 = Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from('ftypisom'), Buffer.alloc(12)]);
+  const webm = Buffer.concat([Buffer.from([0x1a, 0x45, 0xdf, 0xa3]), Buffer.alloc(12)]);
+  assert.equal(sniffVideoType(mp4), 'mp4');
+  assert.equal(sniffVideoType(webm), 'webm');
+  assert.equal(sniffVideoType(fs.readFileSync(fixture('apple.jpg'))), null);
+  assert.throws(() => parseFps('0'), { status: 400 });
+  assert.equal(parseFps('4'), 4);
+});
+
+test('extractFrames reads ffmpeg output in order and explains a missing ffmpeg', async () => {
+  const mp4 = Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from('ftypisom'), Buffer.alloc(12)]);
+  await assert.rejects(extractFrames(mp4, { ffmpegPath: '/nonexistent/ffmpeg' }), { status: 501 });
+  await assert.rejects(extractFrames(fs.readFileSync(fixture('apple.jpg'))), { status: 415 });
+
+  // Stands in for ffmpeg: writes three numbered frames to the output pattern.
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'freshtrack-ffmpeg-'));
+  const fake = path.join(dir, 'ffmpeg');
+  fs.writeFileSync(
+    fake,
+    `#!${process.execPath}
+const fs = require('fs');
+const pattern = process.argv.at(-1);
+for (let i = 1; i <= 3; i++) fs.writeFileSync(pattern.replace('%04d', String(i).padStart(4, '0')), 'frame ' + i);
+`,
+    { mode: 0o755 }
+  );
+  const frames = await extractFrames(mp4, { ffmpegPath: fake });
+  assert.deepEqual(frames.map(String), ['frame 1', 'frame 2', 'frame 3']);
+
+  const failing = path.join(dir, 'ffmpeg-fails');
+  fs.writeFileSync(failing, `#!${process.execPath}\nconsole.error('moov atom not found');\nprocess.exit(1);\n`, { mode: 0o755 });
+  await assert.rejects(extractFrames(mp4, { ffmpegPath: failing }), { status: 422, message: /moov atom not found/ });
+});
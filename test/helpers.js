@@ -0,0 +1,107 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function fixture(name) {
+  return path.join(FIXTURES, name);
+}
+
+// ==============================
+// Isolated data directory
+// ==============================
+// Points every runtime data file at a fresh temp directory, so tests never
+// touch data/ or uploads/. Call before requiring server.js or a service
+// that reads its path at load time. The storage knowledge base is copied
+// in from data/storage_data.json.
+function useTempData({ models = [] } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'freshtrack-test-'));
+  const storagePath = path.join(dir, 'storage_data.json');
+  fs.copyFileSync(path.join(__dirname, '../data/storage_data.json'), storagePath);
+
+  const modelsDir = path.join(dir, 'models');
+  for (const manifest of models) writeModel(modelsDir, manifest);
+
+  Object.assign(process.env, {
+    STORAGE_PATH: storagePath,
+    STORAGE_WATCH: 'false',
+    PANTRY_PATH: path.join(dir, 'pantry.json'),
+    API_KEYS_PATH: path.join(dir, 'api_keys.json'),
+    ACCOUNTS_PATH: path.join(dir, 'accounts.json'),
+    API_KEYS_REQUIRED: 'false',
+    // The whole server suite runs from one IP.
+    RATE_LIMIT_BURST: '1000',
+    WEBHOOKS_PATH: path.join(dir, 'webhooks.json'),
+    HISTORY_PATH: path.join(dir, 'history.json'),
+    HISTORY_IMAGE_DIR: path.join(dir, 'history_images'),
+    MODELS_DIR: modelsDir,
+    MODEL_PATH: path.join(dir, 'missing.onnx'),
+    MODEL_REGISTRY_PATH: path.join(dir, 'model_registry.json'),
+    UPLOAD_DIR: path.join(dir, 'uploads'),
+    DETECTION_CONCURRENCY: '0',
+    LOG_FORMAT: 'tiny',
+  });
+  return dir;
+}
+
+// A registry entry whose model file is a placeholder; the fake session
+// factory never reads it.
+function writeModel(modelsDir, manifest) {
+  const dir = path.join(modelsDir, manifest.version);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+  fs.writeFileSync(path.join(dir, manifest.file || 'model.onnx'), '');
+}
+
+// ==============================
+// Synthetic YOLO output
+// ==============================
+// Boxes are { classId, score, cx, cy, w, h } in model-input pixels, with
+// optional `otherScores` ({ [classId]: score }) for the same anchor.
+// → { dims, data } shaped like an ultralytics yolov8 export, [1, 4 + nc, N],
+// or yolov5's [1, N, 5 + nc] (objectness 1).
+function yoloOutput(boxes, numClasses, { format = 'yolov8' } = {}) {
+  const withObjectness = format === 'yolov5';
+  const numAttrs = (withObjectness ? 5 : 4) + numClasses;
+  const data = new Float32Array(numAttrs * boxes.length);
+  const set = withObjectness
+    ? (box, attr, value) => { data[box * numAttrs + attr] = value; }
+    : (box, attr, value) => { data[attr * boxes.length + box] = value; };
+
+  boxes.forEach(({ classId, score, cx, cy, w, h, otherScores = {} }, i) => {
+    [cx, cy, w, h].forEach((value, attr) => set(i, attr, value));
+    if (withObjectness) set(i, 4, 1);
+    for (const [other, otherScore] of Object.entries(otherScores)) set(i, (withObjectness ? 5 : 4) + Number(other), otherScore);
+    set(i, (withObjectness ? 5 : 4) + classId, score);
+  });
+  const dims = withObjectness ? [1, boxes.length, numAttrs] : [1, numAttrs, boxes.length];
+  return { dims, data };
+}
+
+// ==============================
+// Fake ONNX session
+// ==============================
+// Stands in for an onnxruntime InferenceSession: answers every run with
+// the same synthetic output and records the input shapes it was given.
+// `dynamicBatch` declares a symbolic batch axis, as batch-capable exports do.
+function fakeSession({ boxes, numClasses, inputSize = 640, format, dynamicBatch = false } = {}) {
+  return {
+    inputNames: ['images'],
+    outputNames: ['output0'],
+    inputMetadata: [{ shape: [dynamicBatch ? 'batch' : 1, 3, inputSize, inputSize] }],
+    runs: [],
+    async run(feeds) {
+      const input = feeds[this.inputNames[0]];
+      this.runs.push(input.dims);
+      const batch = input.dims[0];
+      const { dims, data } = yoloOutput(boxes, numClasses, { format });
+      const batched = new Float32Array(data.length * batch);
+      for (let b = 0; b < batch; b++) batched.set(data, b * data.length);
+      return { output0: { dims: [batch, dims[1], dims[2]], data: batched } };
+    },
+    async release() {},
+  };
+}
+
+module.exports = { fixture, useTempData, writeModel, yoloOutput, fakeSession };
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { fixture, fakeSession } = require('./helpers');
+
+process.env.DETECTOR = 'onnx';
+const { processImage, processImages, setSessionFactory, DEFAULT_MODEL } = require('../services/imageProcessor');
+
+const CLASSES = ['Fresh_Apple', 'Rotten_Apple'];
+const MODEL = { ...DEFAULT_MODEL, version: 'unit', path: '/nonexistent/model.onnx', classNames: CLASSES };
+const BOXES = [
+  { classId: 0, score: 0.9, cx: 160, cy: 160, w: 64, h: 64 },
+  { classId: 1, score: 0.4, cx: 60, cy: 160, w: 32, h: 32 },
+];
+
+test.beforeEach((t) => t.mock.method(console, 'log', () => {}));
+test.afterEach(() => setSessionFactory(null));
+
+function useSession(options = {}) {
+  const session = fakeSession({ boxes: BOXES, numClasses: CLASSES.length, inputSize: 320, ...options });
+  const created = [];
+  setSessionFactory((model) => {
+    created.push(model.version);
+    return session;
+  });
+  return { session, created };
+}
+
+test('processImage runs the injected session at its input size', async () => {
+  const { session, created } = useSession();
+  const detections = await processImage(fs.readFileSync(fixture('apple.jpg')), {}, MODEL);
+  assert.deepEqual(created, ['unit']);
+  assert.deepEqual(session.runs, [[1, 3, 320, 320]]);
+  assert.deepEqual(detections.map((d) => d.label), ['Fresh_Apple', 'Rotten_Apple']);
+});
+
+test('sessions are created once per model version', async () => {
+  const { created } = useSession();
+  const image = fs.readFileSync(fixture('apple.jpg'));
+  await processImage(image, {}, MODEL);
+  await processImage(image, {}, MODEL);
+  await processImage(image, {}, { ...MODEL, version: 'unit-2' });
+  assert.deepEqual(created, ['unit', 'unit-2']);
+});
+
+test('processImage applies confidence and class options', async () => {
+  useSession();
+  const image = fs.readFileSync(fixture('apple.jpg'));
+  const confident = await processImage(image, { confThreshold: 0.5 }, MODEL);
+  assert.deepEqual(confident.map((d) => d.label), ['Fresh_Apple']);
+  const rotten = await processImage(image, { classes: ['Rotten_Apple'] }, MODEL);
+  assert.deepEqual(rotten.map((d) => d.label), ['Rotten_Apple']);
+});
+
+test('processImage deletes uploaded files but not buffers', async () => {
+  useSession();
+  const upload = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'freshtrack-upload-')), 'apple.jpg');
+  fs.copyFileSync(fixture('apple.jpg'), upload);
+  await processImage(upload, {}, MODEL);
+  assert.equal(fs.existsSync(upload), false);
+});
+
+test('processImages batches when the model has a dynamic batch axis', async () => {
+  const { session } = useSession({ dynamicBatch: true });
+  const images = ['apple.jpg', 'alpha.png'].map((name) => fs.readFileSync(fixture(name)));
+  const results = await processImages(images, {}, MODEL);
+  assert.deepEqual(session.runs, [[2, 3, 320, 320]]);
+  assert.equal(results.length, 2);
+  assert.ok(results.every((result) => result.detections.length === 2));
+});
+
+test('processImages runs one at a time otherwise, isolating bad images', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const { session } = useSession();
+  const images = ['apple.jpg', 'not-an-image.jpg', 'alpha.png'].map((name) => fs.readFileSync(fixture(name)));
+  const results = await processImages(images, {}, MODEL);
+  assert.equal(session.runs.length, 2);
+  assert.equal(results[0].detections.length, 2);
+  assert.ok(results[1].error);
+  assert.equal(results[2].detections.length, 2);
+});
+
+test('processImage rejects output that does not match the model classes', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  useSession();
+  const threeClasses = { ...MODEL, version: 'mismatch', classNames: [...CLASSES, 'Fresh_Banana'] };
+  await assert.rejects(processImage(fs.readFileSync(fixture('apple.jpg')), {}, threeClasses), /Unsupported YOLO output shape/);
+});
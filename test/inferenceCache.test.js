@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const { fixture } = require('./helpers');
+const { InferenceCache, perceptualHash, contentHash } = require('../services/inferenceCache');
+
+const APPLE = fs.readFileSync(fixture('apple.jpg'));
+const GREEN = fs.readFileSync(fixture('alpha.png'));
+const OPTIONS = { confThreshold: 0.25, iouThreshold: 0.4, maxDetections: 300, classes: null };
+const MODEL = { version: 'v1' };
+
+// Stands in for the worker pool, recording what it was asked to run.
+function fakePool() {
+  const detection = () => ({ label: 'Fresh_Apple', confidence: 0.9, bbox: { x: 0, y: 0, width: 1, height: 1 } });
+  return {
+    calls: [],
+    async run(payload, { onStart } = {}) {
+      this.calls.push(payload);
+      if (onStart) onStart();
+      const images = payload.buffers || payload.filePaths;
+      return payload.batch
+        ? { results: images.map(() => ({ detections: [detection()] })), detector: 'onnx', modelVersion: 'v1' }
+        : { detections: [detection()], detector: 'onnx', modelVersion: 'v1' };
+    },
+  };
+}
+
+function payloadFor(images, { batch = false, options = OPTIONS, model = MODEL } = {}) {
+  return { buffers: images, batch, options, model };
+}
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'freshtrack-cache-'));
+}
+
+test('perceptual hashes survive lossless re-encoding; content hashes do not', async () => {
+  const original = await perceptualHash(APPLE);
+  const copy = await sharp(APPLE).png().toBuffer();
+  assert.notEqual(contentHash(copy), contentHash(APPLE));
+  assert.equal(await perceptualHash(copy), original);
+  assert.notEqual(await perceptualHash(GREEN), original);
+});
+
+test('perceptual hashes include the mean colour and pixel size', async () => {
+  const flat = (background, width = 40) => sharp({ create: { width, height: 40, channels: 3, background } }).png().toBuffer();
+  const red = await perceptualHash(await flat('#ff0000'));
+  assert.match(red, /^[0-9a-f]{32}:f00:40x40$/);
+  assert.notEqual(red, await perceptualHash(await flat('#00ff00')));
+  assert.notEqual(red, await perceptualHash(await flat('#ff0000', 80)));
+});
+
+test('a repeated image is answered from the cache', async () => {
+  const cache = new InferenceCache({ size: 10 });
+  const pool = fakePool();
+
+  const first = await cache.detect(pool, payloadFor([APPLE]), [APPLE]);
+  assert.equal(first.cached, false);
+  const second = await cache.detect(pool, payloadFor([APPLE]), [APPLE]);
+  assert.equal(second.cached, true);
+  assert.equal(pool.calls.length, 1);
+  assert.deepEqual(second.detections, first.detections);
+  assert.equal(second.modelVersion, 'v1');
+});
+
+test('cached results are copies', async () => {
+  const cache = new InferenceCache({ size: 10 });
+  const pool = fakePool();
+  const first = await cache.detect(pool, payloadFor([APPLE]), [APPLE]);
+  first.detections[0].label = 'changed';
+  const second = await cache.detect(pool, payloadFor([APPLE]), [APPLE]);
+  second.detections.push({});
+  const third = await cache.detect(pool, payloadFor([APPLE]), [APPLE]);
+  assert.equal(third.detections.length, 1);
+  assert.equal(third.detections[0].label, 'Fresh_Apple');
+});
+
+test('only identical bytes are answered from the cache', async () => {
+  const cache = new InferenceCache({ size: 10 });
+  const pool = fakePool();
+  await cache.detect(pool, payloadFor([APPLE]), [APPLE]);
+  // Same perceptual hash, different bytes: detected again, never given the original's boxes.
+  const reencoded = await sharp(APPLE).png().toBuffer();
+  const resized = await sharp(APPLE).resize(300).png().toBuffer();
+  for (const image of [reencoded, resized]) {
+    assert.equal((await cache.detect(pool, payloadFor([image]), [image])).cached, false);
+  }
+  assert.equal(pool.calls.length, 3);
+  assert.equal((await cache.detect(pool, payloadFor([resized]), [resized])).cached, true);
+});
+
+test('near duplicates are counted as similar misses', async () => {
+  const cache = new InferenceCache({ size: 10 });
+  const { keys } = await cache.lookup(APPLE, 'scope');
+  await cache.store(keys, { detections: [], detector: 'onnx', modelVersion: 'v1' });
+  assert.equal((await cache.lookup(APPLE, 'scope')).tier, 'memory');
+  assert.equal((await cache.lookup(await sharp(APPLE).png().toBuffer(), 'scope')).tier, 'similar_miss');
+  assert.equal((await cache.lookup(GREEN, 'scope')).tier, 'miss');
+});
+
+test('model version and inference options are part of the key', async () => {
+  const cache = new InferenceCache({ size: 10 });
+  const pool = fakePool();
+  await cache.detect(pool, payloadFor([APPLE]), [APPLE]);
+  assert.equal((await cache.detect(pool, payloadFor([APPLE], { model: { version: 'v2' } }), [APPLE])).cached, false);
+  const stricter = { ...OPTIONS, confThreshold: 0.8 };
+  assert.equal((await cache.detect(pool, payloadFor([APPLE], { options: stricter }), [APPLE])).cached, false);
+  // Presentation-only options share the entry.
+  const summary = { ...OPTIONS, summary: 'freshness', annotate: 'png' };
+  assert.equal((await cache.detect(pool, payloadFor([APPLE], { options: summary }), [APPLE])).cached, true);
+});
+
+test('bypass skips the lookup but refreshes the entry', async () => {
+  const cache = new InferenceCache({ size: 10 });
+  const pool = fakePool();
+  await cache.detect(pool, payloadFor([APPLE]), [APPLE]);
+  const bypassed = await cache.detect(pool, payloadFor([APPLE]), [APPLE], { bypass: true });
+  assert.equal(bypassed.cached, false);
+  assert.equal(pool.calls.length, 2);
+  assert.equal((await cache.detect(pool, payloadFor([APPLE]), [APPLE])).cached, true);
+});
+
+test('entries expire after the TTL', async () => {
+  const cache = new InferenceCache({ size: 10, ttlMs: 20 });
+  const pool = fakePool();
+  await cache.detect(pool, payloadFor([APPLE]), [APPLE]);
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.equal((await cache.detect(pool, payloadFor([APPLE]), [APPLE])).cached, false);
+});
+
+test('the least recently used entry is evicted first', async () => {
+  const cache = new InferenceCache({ size: 1 });
+  const pool = fakePool();
+  await cache.detect(pool, payloadFor([APPLE]), [APPLE]);
+  await cache.detect(pool, payloadFor([GREEN]), [GREEN]);
+  assert.equal(cache.entries.size, 1);
+  assert.equal((await cache.detect(pool, payloadFor([APPLE]), [APPLE])).cached, false);
+});
+
+test('the disk tier survives a new cache instance and is pruned', async () => {
+  const dir = tempDir();
+  const pool = fakePool();
+  await new InferenceCache({ size: 10, dir }).detect(pool, payloadFor([APPLE]), [APPLE]);
+  assert.equal(fs.readdirSync(dir).length, 1);
+
+  const restarted = new InferenceCache({ size: 10, dir });
+  const result = await restarted.detect(pool, payloadFor([APPLE]), [APPLE]);
+  assert.equal(result.cached, true);
+  assert.equal(pool.calls.length, 1);
+
+  assert.equal(await restarted.prune({ now: Date.now() + 25 * 60 * 60 * 1000 }), 2);
+  assert.equal(fs.readdirSync(dir).length, 0);
+});
+
+test('batches only send uncached images to the pool', async () => {
+  const cache = new InferenceCache({ size: 10 });
+  const pool = fakePool();
+  await cache.detect(pool, payloadFor([APPLE]), [APPLE]);
+
+  const uploads = tempDir();
+  const filePaths = ['a.jpg', 'b.png'].map((name) => path.join(uploads, name));
+  fs.writeFileSync(filePaths[0], APPLE);
+  fs.writeFileSync(filePaths[1], GREEN);
+  const payload = { filePaths, batch: true, options: OPTIONS, model: MODEL };
+
+  const { results } = await cache.detect(pool, payload, [APPLE, GREEN]);
+  assert.deepEqual(results.map((r) => r.cached), [true, false]);
+  assert.deepEqual(pool.calls[1].filePaths, [filePaths[1]]);
+  // The worker deletes the files it processes; the cache deletes the rest.
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.equal(fs.existsSync(filePaths[0]), false);
+});
+
+test('a disabled cache passes everything through', async () => {
+  const cache = new InferenceCache({ size: 0 });
+  const pool = fakePool();
+  await cache.detect(pool, payloadFor([APPLE]), [APPLE]);
+  const result = await cache.detect(pool, payloadFor([APPLE]), [APPLE]);
+  assert.equal(result.cached, false);
+  assert.equal(pool.calls.length, 2);
+});
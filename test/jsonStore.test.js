@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { JsonStore } = require('../services/jsonStore');
+
+function tempStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'freshtrack-store-'));
+  return new JsonStore(path.join(dir, 'store.json'), { entries: [] });
+}
+
+function onDisk(store) {
+  return JSON.parse(fs.readFileSync(store.filePath, 'utf8'));
+}
+
+test('saveSoon batches changes into one write', async () => {
+  const store = tempStore();
+  store.data.entries.push(1);
+  store.saveSoon(20);
+  store.data.entries.push(2);
+  store.saveSoon(20);
+  assert.equal(fs.existsSync(store.filePath), false);
+
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  await store.writing;
+  assert.deepEqual(onDisk(store), { entries: [1, 2] });
+});
+
+test('flush writes pending changes right away', () => {
+  const store = tempStore();
+  store.flush();
+  assert.equal(fs.existsSync(store.filePath), false);
+
+  store.data.entries.push('pending');
+  store.saveSoon(60 * 1000);
+  store.flush();
+  assert.deepEqual(onDisk(store), { entries: ['pending'] });
+  assert.equal(store.timer, null);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const preprocessor = require('../services/preprocessor');
+const { imageDecodes } = require('../services/metrics');
+const { fixture } = require('./helpers');
+
+// Float32 tensors, so compare against the float32 value of 114 / 255.
+const PAD = Math.fround(114 / 255);
+
+// Value of channel `c` at (x, y) in a planar [1, 3, H, W] tensor.
+function pixel({ data, dims }, x, y, c) {
+  const [, , height, width] = dims;
+  return data[c * height * width + y * width + x];
+}
+
+test('decodes JPEG and PNG (alpha dropped) to RGB with sharp', async () => {
+  const jpeg = await preprocessor.decodeImage(fixture('apple.jpg'));
+  assert.equal(jpeg.width, 96);
+  assert.equal(jpeg.height, 64);
+  assert.equal(jpeg.data.length, 96 * 64 * 3);
+
+  const png = await preprocessor.decodeImage(fs.readFileSync(fixture('alpha.png')));
+  assert.equal(png.data.length, 32 * 32 * 3);
+});
+
+test('applies EXIF orientation with both decoders', async () => {
+  // Stored 40x20 with a red left half and orientation 6 → upright 20x40, red on top.
+  for (const decode of [preprocessor.decodeWithSharp, preprocessor.decodeWithJimp]) {
+    const { data, width, height } = await decode(fixture('rotated.jpg'));
+    assert.deepEqual([width, height], [20, 40], decode.name);
+    const top = (5 * width + 10) * 3;
+    const bottom = (35 * width + 10) * 3;
+    assert.ok(data[top] > 200 && data[top + 2] < 60, `${decode.name}: top should be red`);
+    assert.ok(data[bottom + 2] > 200 && data[bottom] < 60, `${decode.name}: bottom should be blue`);
+  }
+});
+
+test('falls back to Jimp for formats sharp cannot read, and counts it', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const before = imageDecodes.values.get('["jimp"]') || 0;
+  const { data, width, height } = await preprocessor.decodeImage(fixture('green.bmp'));
+  assert.deepEqual([width, height], [16, 8]);
+  assert.deepEqual([...data.subarray(0, 3)], [0, 160, 0]);
+  assert.equal(imageDecodes.values.get('["jimp"]'), before + 1);
+});
+
+test('letterboxes into the model input size with grey padding', async () => {
+  const tensor = await preprocessor.preprocessImage(fixture('apple.jpg'), { inputWidth: 48, inputHeight: 48 });
+  assert.deepEqual(tensor.dims, [1, 3, 48, 48]);
+  assert.equal(tensor.data.length, 3 * 48 * 48);
+
+  // 96x64 → scale 0.5 → 48x32, centred with 8px bars top and bottom.
+  assert.deepEqual(tensor.transform, {
+    originalWidth: 96,
+    originalHeight: 64,
+    inputWidth: 48,
+    inputHeight: 48,
+    scaleX: 0.5,
+    scaleY: 0.5,
+    padX: 0,
+    padY: 8,
+  });
+  for (let c = 0; c < 3; c++) {
+    assert.equal(pixel(tensor, 24, 2, c), PAD);
+    assert.equal(pixel(tensor, 24, 45, c), PAD);
+  }
+  // White border and the red square in the middle, in [0, 1].
+  assert.ok(pixel(tensor, 2, 24, 0) > 0.9 && pixel(tensor, 2, 24, 2) > 0.9);
+  assert.ok(pixel(tensor, 24, 24, 0) > 0.7 && pixel(tensor, 24, 24, 2) < 0.2);
+});
+
+test('letterbox keeps the aspect ratio of tall images', () => {
+  const image = { data: Buffer.alloc(10 * 40 * 3, 255), width: 10, height: 40 };
+  const { transform, data, dims } = preprocessor.letterbox(image, 20, 20);
+  assert.equal(transform.scaleX, 0.5);
+  assert.equal(transform.padX, 7);
+  assert.equal(transform.padY, 0);
+  assert.equal(pixel({ data, dims }, 0, 10, 0), PAD);
+  assert.equal(pixel({ data, dims }, 10, 10, 0), 1);
+});
+
+test('getInputSize reads fixed session dims and falls back for symbolic ones', () => {
+  assert.deepEqual(preprocessor.getInputSize({ inputMetadata: [{ shape: [1, 3, 320, 416] }] }), {
+    inputWidth: 416,
+    inputHeight: 320,
+  });
+  assert.deepEqual(preprocessor.getInputSize({ inputMetadata: [{ shape: ['batch', 3, 'h', 'w'] }] }), {
+    inputWidth: preprocessor.DEFAULT_INPUT_SIZE,
+    inputHeight: preprocessor.DEFAULT_INPUT_SIZE,
+  });
+});
+
+test('rejects files that are not images', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  await assert.rejects(preprocessor.preprocessImage(fixture('not-an-image.jpg')));
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useTempData } = require('./helpers');
+
+useTempData();
+const { recipeService, validateRecipes, parseDiets } = require('../services/recipeService');
+const { historyService } = require('../services/historyService');
+const { pantryService } = require('../services/pantryService');
+
+const ids = (result) => result.suggestions.map((recipe) => recipe.id);
+
+test('the bundled recipes are valid', () => {
+  assert.deepEqual(validateRecipes({ recipes: recipeService.recipes }), []);
+  assert.ok(recipeService.recipes.length >= 20);
+});
+
+test('validateRecipes lists every problem', () => {
+  const errors = validateRecipes({
+    recipes: [
+      { id: 'a', name: 'A', items: ['Chicken'], ingredients: ['chicken'], diets: ['vegetarian'] },
+      { id: 'a', name: 'B', items: ['Durian'], ingredients: 'durian', diets: ['keto'] },
+    ],
+  });
+  assert.deepEqual(errors, [
+    'recipes[0] (a) uses meat but is tagged vegetarian or vegan',
+    'recipes[1] (a).id is a duplicate',
+    'recipes[1] (a).items has unknown item "Durian"',
+    'recipes[1] (a).ingredients must be an array of strings',
+    'recipes[1] (a).diets must only contain: vegetarian, vegan, gluten_free, dairy_free',
+  ]);
+});
+
+test('recipes using the most urgent items rank first', () => {
+  const result = recipeService.suggest({ items: 'Fresh_Chicken,peppers,Fresh_Potato', limit: 3 });
+  // Chicken (2 days) outweighs pepper (7) and potato (30).
+  assert.deepEqual(
+    result.items.map(({ item, daysLeft, atRisk }) => [item, daysLeft, atRisk]),
+    [['Chicken', 2, true], ['Pepper', 7, false], ['Potato', 30, false]]
+  );
+  const [best] = result.suggestions;
+  assert.deepEqual(best.uses, ['Chicken', 'Pepper']);
+  assert.deepEqual(best.usesAtRisk, ['Chicken']);
+  assert.ok(result.suggestions.every((recipe, i, all) => i === 0 || all[i - 1].score >= recipe.score));
+});
+
+test('diet filters require tags or exclude items', () => {
+  const vegetarian = recipeService.suggest({ items: ['Fresh_Chicken', 'Fresh_Banana'], diet: 'vegetarian', limit: 20 });
+  assert.ok(vegetarian.suggestions.length > 0);
+  assert.ok(vegetarian.suggestions.every((recipe) => !recipe.uses.includes('Chicken')));
+
+  const noPork = recipeService.suggest({ items: 'Fresh_Pork,Fresh_Apple', diet: ['No Pork'], limit: 20 });
+  assert.deepEqual(noPork.diet, ['no_pork']);
+  assert.ok(!ids(noPork).includes('pork-apple-skillet'));
+  assert.ok(ids(noPork).includes('apple-crumble'));
+});
+
+test('rotten items are skipped, bad input is a 400', () => {
+  const result = recipeService.suggest({ items: 'Rotten_Banana,Fresh_Apple' });
+  assert.deepEqual(result.skipped, [{ label: 'Rotten_Banana', reason: 'rotten', source: 'items' }]);
+  assert.deepEqual(result.items.map((item) => item.item), ['Apple']);
+
+  assert.throws(() => recipeService.suggest({}), { status: 400 });
+  assert.throws(() => recipeService.suggest({ items: 'apple', diet: 'keto', limit: 0 }), (error) => error.details.length === 2);
+  assert.throws(() => recipeService.suggest({ items: 'xyzzy_unknown_item' }), { status: 400 });
+  assert.equal(parseDiets('gluten-free').filters[0].diet, 'gluten_free');
+});
+
+test('the latest detection and pantry items are used with their days left', () => {
+  historyService.record({
+    clientId: 'client-a',
+    detections: [
+      { label: 'Fresh_Banana', confidence: 0.5, bbox: { x: 0, y: 0, width: 0.5, height: 0.5 } },
+      { label: 'Rotten_Strawberry', confidence: 0.9, bbox: { x: 0.5, y: 0.5, width: 0.5, height: 0.5 } },
+    ],
+  });
+  const detected = recipeService.suggest({ latest: 'true' }, { clientId: 'client-a' });
+  // A 50/50 banana may turn any day now.
+  assert.deepEqual(detected.items.map(({ item, atRisk, sources }) => [item, atRisk, sources]), [['Banana', true, ['detection']]]);
+  assert.deepEqual(detected.skipped, [{ label: 'Rotten_Strawberry', reason: 'discard', source: 'detection' }]);
+  assert.throws(() => recipeService.suggest({ latest: true }, { clientId: 'client-b' }), { status: 404 });
+
+  pantryService.addItem({ label: 'Fresh_Beef' }, { clientId: 'client-b' });
+  const pantry = recipeService.suggest({ pantry: true, items: 'beef' }, { clientId: 'client-b' });
+  assert.deepEqual(pantry.items[0].sources, ['items', 'pantry']);
+  assert.equal(pantry.items[0].daysLeft, 3);
+});
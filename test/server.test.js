@@ -0,0 +1,358 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const { fixture, useTempData, fakeSession } = require('./helpers');
+const { CLASS_NAMES } = require('../services/labels');
+const { MAX_FILE_SIZE } = require('../services/imageSanitizer');
+
+useTempData({ models: [{ version: 'test-1', classNames: CLASS_NAMES }] });
+process.env.DETECTOR = 'onnx';
+// Video scans report a missing ffmpeg; bursts of images need none.
+process.env.FFMPEG_PATH = '/nonexistent/ffmpeg';
+
+// Every inference answers with a fresh apple over the middle of the
+// letterboxed input and a smaller rotten banana.
+const session = fakeSession({
+  numClasses: CLASS_NAMES.length,
+  boxes: [
+    { classId: CLASS_NAMES.indexOf('Fresh_Apple'), score: 0.9, cx: 320, cy: 320, w: 260, h: 260 },
+    { classId: CLASS_NAMES.indexOf('Rotten_Banana'), score: 0.6, cx: 100, cy: 320, w: 60, h: 60 },
+  ],
+});
+require('../services/imageProcessor').setSessionFactory(() => session);
+
+const app = require('../server');
+const { apiKeyService } = require('../services/apiKeyService');
+
+// Data routes need an owner, so requests carry an API key unless they set
+// their own X-API-Key ('' for none).
+const { apiKey } = apiKeyService.createKey({ name: 'tests' });
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+async function request(path, options = {}) {
+  const res = await fetch(`${baseUrl}${path}`, { ...options, headers: { 'X-API-Key': apiKey, ...options.headers } });
+  const type = res.headers.get('content-type') || '';
+  const body = type.includes('json') ? await res.json() : Buffer.from(await res.arrayBuffer());
+  return { status: res.status, headers: res.headers, body };
+}
+
+function imageForm(field, ...names) {
+  const form = new FormData();
+  for (const name of names) {
+    const type = name.endsWith('.png') ? 'image/png' : 'image/jpeg';
+    form.append(field, new Blob([fs.readFileSync(fixture(name))], { type }), name);
+  }
+  return form;
+}
+
+function detect(query = '', form = imageForm('image', 'apple.jpg')) {
+  return request(`/api/detect${query}`, { method: 'POST', body: form });
+}
+
+// ==============================
+// Health and readiness
+// ==============================
+test('GET /health reports OK', async () => {
+  const { status, body } = await request('/health');
+  assert.equal(status, 200);
+  assert.equal(body.status, 'OK');
+});
+
+test('GET /ready loads the active model and checks storage', async () => {
+  const { status, body } = await request('/ready');
+  assert.equal(status, 200);
+  assert.equal(body.status, 'ready');
+  assert.equal(body.checks.model.active, 'test-1');
+  assert.equal(body.checks.storage.ok, true);
+});
+
+// ==============================
+// Storage lookups
+// ==============================
+test('GET /api/storage returns all storage data', async () => {
+  const { status, body } = await request('/api/storage');
+  assert.equal(status, 200);
+  assert.equal(body.success, true);
+  assert.ok(body.data, 'data must not be null');
+  assert.equal(body.data.Fresh_Apple.shelf_life, 14);
+  assert.equal(body.locale, 'en');
+});
+
+test('GET /api/storage is localized with ?lang=', async () => {
+  const { body } = await request('/api/storage?lang=es');
+  assert.equal(body.locale, 'es');
+  assert.equal(body.data.Fresh_Apple.display_name, 'Manzana fresca');
+});
+
+test('GET /api/storage/:itemName resolves labels with guidance', async () => {
+  const { status, body } = await request('/api/storage/fresh_apple?location=pantry');
+  assert.equal(status, 200);
+  assert.equal(body.label, 'Fresh_Apple');
+  assert.equal(body.storage.status, 'Fresh');
+  assert.equal(body.guidance.location, 'pantry');
+});
+
+test('GET /api/storage/:itemName returns every variant of a bare item', async () => {
+  const { status, body } = await request('/api/storage/apples');
+  assert.equal(status, 200);
+  assert.deepEqual(Object.keys(body.variants).sort(), ['Fresh_Apple', 'Rotten_Apple']);
+});
+
+test('GET /api/storage/:itemName 404s with suggestions, 400s on bad options', async () => {
+  const missing = await request('/api/storage/bananna_split_xyz');
+  assert.equal(missing.status, 404);
+  assert.ok(Array.isArray(missing.body.suggestions));
+
+  const invalid = await request('/api/storage/Fresh_Apple?location=attic');
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.success, false);
+});
+
+test('GET /api/storage/search ranks near-misses', async () => {
+  const { body } = await request('/api/storage/search?q=aple');
+  assert.equal(body.results[0].item, 'Apple');
+  assert.equal((await request('/api/storage/search')).status, 400);
+});
+
+// ==============================
+// Detection
+// ==============================
+test('POST /api/detect runs the injected session and attaches storage info', async () => {
+  const runs = session.runs.length;
+  const { status, body, headers } = await detect();
+  assert.equal(status, 200);
+  assert.ok(headers.get('x-request-id'));
+  assert.equal(session.runs.length, runs + 1);
+  assert.deepEqual(session.runs.at(-1), [1, 3, 640, 640]);
+
+  assert.equal(body.detector, 'onnx');
+  assert.equal(body.modelVersion, 'test-1');
+  assert.deepEqual(body.detections.map((d) => d.label), ['Fresh_Apple', 'Rotten_Banana']);
+  const [apple] = body.detections;
+  assert.equal(apple.confidence, 0.9);
+  assert.equal(apple.storage.shelf_life, 14);
+  // 96x64 letterboxed to 640: scale 20/3, 107px bars; the 260px box is 39px wide.
+  assert.deepEqual(apple.bboxPixels, { x: 29, y: 13, width: 39, height: 39 });
+  assert.deepEqual([apple.freshness, apple.verdict, apple.trafficLight], [1, 'eat_now', 'green']);
+  assert.deepEqual(apple.remainingDays, { min: 12, max: 14 });
+  assert.equal(body.detections[1].verdict, 'discard');
+  assert.ok(body.resultId && body.historyId);
+});
+
+test('POST /api/detect serves repeats from the inference cache unless ?nocache=1', async () => {
+  const image = fs.readFileSync(fixture('rotated.jpg'));
+  const send = (query = '') =>
+    request(`/api/detect${query}`, { method: 'POST', headers: { 'Content-Type': 'image/jpeg' }, body: image });
+  const runs = session.runs.length;
+
+  const first = await send();
+  const second = await send();
+  assert.equal(first.body.cached, false);
+  assert.equal(second.body.cached, true);
+  assert.deepEqual(second.body.detections.map((d) => d.label), first.body.detections.map((d) => d.label));
+  assert.notEqual(second.body.resultId, first.body.resultId);
+  assert.equal(session.runs.length, runs + 1);
+
+  const bypassed = await send('?nocache=1');
+  assert.equal(bypassed.body.cached, false);
+  assert.equal(session.runs.length, runs + 2);
+});
+
+test('POST /api/detect applies per-request options', async () => {
+  const { status, body } = await detect('?confidence=0.7');
+  assert.equal(status, 200);
+  assert.deepEqual(body.detections.map((d) => d.label), ['Fresh_Apple']);
+  assert.equal(body.options.confidence, 0.7);
+
+  const summary = await detect('?summary=freshness');
+  assert.deepEqual(summary.body.summary.map((s) => [s.item, s.trafficLight]).sort(), [['Apple', 'green'], ['Banana', 'red']]);
+
+  const invalid = await detect('?confidence=2');
+  assert.equal(invalid.status, 400);
+});
+
+test('POST /api/detect accepts base64 JSON and raw image bodies', async () => {
+  const image = fs.readFileSync(fixture('apple.jpg'));
+  const json = await request('/api/detect', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ image: image.toString('base64') }),
+  });
+  assert.equal(json.status, 200);
+  assert.equal(json.body.detections.length, 2);
+
+  const raw = await request('/api/detect', { method: 'POST', headers: { 'Content-Type': 'image/jpeg' }, body: image });
+  assert.equal(raw.status, 200);
+  assert.equal(raw.body.detections.length, 2);
+});
+
+test('POST /api/detect rejects missing and non-image uploads', async () => {
+  const empty = await request('/api/detect', { method: 'POST', body: new FormData() });
+  assert.equal(empty.status, 400);
+  assert.equal(empty.body.success, false);
+
+  const fake = await detect('', imageForm('image', 'not-an-image.jpg'));
+  assert.equal(fake.status, 415);
+  assert.match(fake.body.message, /Unsupported image type/);
+});
+
+test('GET /api/detect/:id/annotated renders the result image', async () => {
+  const { body } = await detect();
+  const png = await request(`${body.annotatedUrl}?format=png`);
+  assert.equal(png.status, 200);
+  assert.equal(png.headers.get('content-type'), 'image/png');
+  assert.deepEqual([...png.body.subarray(1, 4)], [...Buffer.from('PNG')]);
+  assert.equal((await request('/api/detect/nope/annotated')).status, 404);
+});
+
+test('POST /api/detect/batch returns one result per image', async () => {
+  const { status, body } = await request('/api/detect/batch', {
+    method: 'POST',
+    body: imageForm('images', 'apple.jpg', 'alpha.png'),
+  });
+  assert.equal(status, 200);
+  assert.deepEqual(body.images.map((image) => [image.filename, image.success]), [
+    ['apple.jpg', true],
+    ['alpha.png', true],
+  ]);
+  assert.equal(body.images[1].detections[0].label, 'Fresh_Apple');
+});
+
+test('POST /api/detect/scan tracks objects across a burst of frames', async () => {
+  const runs = session.runs.length;
+  const { status, body } = await request('/api/detect/scan', {
+    method: 'POST',
+    body: imageForm('frames', 'apple.jpg', 'apple.jpg', 'apple.jpg'),
+  });
+  assert.equal(status, 200);
+  assert.equal(session.runs.length, runs + 3);
+  assert.deepEqual(body.frames, { total: 3, processed: 3, failed: [], fps: null });
+  assert.deepEqual(body.inventory.map(({ item, count }) => [item, count]), [['Apple', 1], ['Banana', 1]]);
+  const apple = body.objects.find((object) => object.item === 'Apple');
+  assert.deepEqual([apple.label, apple.frames, apple.trafficLight], ['Fresh_Apple', 3, 'green']);
+  assert.ok(apple.id && apple.storage);
+
+  const video = new FormData();
+  video.append('video', new Blob([Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from('ftypisom'), Buffer.alloc(12)])]), 'scan.mp4');
+  assert.equal((await request('/api/detect/scan', { method: 'POST', body: video })).status, 501);
+  assert.equal((await request('/api/detect/scan', { method: 'POST', body: new FormData() })).status, 400);
+});
+
+test('POST /api/detect/scan caps each frame at MAX_FILE_SIZE', async () => {
+  const form = imageForm('frames', 'apple.jpg');
+  form.append('frames', new Blob([Buffer.alloc(MAX_FILE_SIZE + 1)], { type: 'image/jpeg' }), 'huge.jpg');
+  const { status, body } = await request('/api/detect/scan', { method: 'POST', body: form });
+  assert.equal(status, 413);
+  assert.match(body.message, /Image is too large/);
+});
+
+test('GET /api/suggestions ranks recipes for the latest detection', async () => {
+  await detect();
+  const { status, body } = await request('/api/suggestions?latest=true&diet=no_pork&limit=2');
+  assert.equal(status, 200);
+  assert.deepEqual(body.items.map((item) => item.item), ['Apple']);
+  assert.deepEqual(body.skipped.map((item) => item.label), ['Rotten_Banana']);
+  assert.equal(body.suggestions.length, 2);
+  assert.ok(body.suggestions.every((recipe) => recipe.uses.includes('Apple') && !recipe.items.includes('Pork')));
+
+  const invalid = await request('/api/suggestions', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ items: ['apple'], diet: ['keto'] }),
+  });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.errors.length, 1);
+});
+
+test('detections show up in history and metrics', async () => {
+  const { body } = await request('/api/history?limit=1');
+  assert.equal(body.success, true);
+  assert.equal(body.history[0].modelVersion, 'test-1');
+
+  const metrics = await request('/metrics');
+  const text = metrics.body.toString();
+  assert.match(text, /freshtrack_detections_total\{label="Fresh_Apple"\} \d+/);
+  assert.match(text, /freshtrack_inference_duration_seconds_count\{model_version="test-1"\} \d+/);
+  assert.match(text, /freshtrack_http_requests_total\{method="POST",route="\/api\/detect",status="200"\} \d+/);
+});
+
+test('households share detections and pantry items between their members', async () => {
+  const json = (method, token, body) => ({
+    method,
+    headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+    body: body && JSON.stringify(body),
+  });
+  const register = (email) => request('/api/auth/register', json('POST', null, { email, password: 'correct horse' }));
+
+  const ana = (await register('ana@example.com')).body;
+  const ben = (await register('ben@example.com')).body;
+  assert.equal(ana.household.members[0].role, 'owner');
+  const asAna = { Authorization: `Bearer ${ana.token}` };
+
+  const detected = await request('/api/detect', { method: 'POST', headers: asAna, body: imageForm('image', 'apple.jpg') });
+  const apple = detected.body.detections.find((d) => d.label === 'Fresh_Apple');
+  const added = await request('/api/pantry/items', json('POST', ana.token, { detectionId: apple.id }));
+  assert.equal(added.status, 201);
+
+  // Ben's own household sees nothing of Ana's, nor does the API key without a session.
+  assert.deepEqual((await request('/api/history', json('GET', ben.token))).body.history, []);
+  assert.deepEqual((await request('/api/pantry/items', json('GET', ben.token))).body.items, []);
+  assert.ok(!(await request('/api/history')).body.history.some((e) => e.userId === ana.user.id));
+  assert.equal((await request(`/api/pantry/items/${added.body.item.id}`)).status, 404);
+  // Nor can anyone else reuse her detection or fetch her image.
+  assert.equal((await request('/api/pantry/items', json('POST', ben.token, { detectionId: apple.id }))).status, 404);
+  assert.equal((await request(`${detected.body.annotatedUrl}?access_token=${ben.token}`)).status, 404);
+  assert.equal((await request(detected.body.annotatedUrl)).status, 404);
+  assert.equal((await request(`${detected.body.annotatedUrl}?access_token=${ana.token}`)).status, 200);
+  // Her jobs are hers too, also on the events stream, which EventSource opens with query parameters.
+  const job = (await request('/api/detect?async=true', { method: 'POST', headers: asAna, body: imageForm('image', 'apple.jpg') })).body;
+  assert.equal((await request(job.statusUrl, json('GET', ben.token))).status, 404);
+  assert.equal((await request(`${job.eventsUrl}?access_token=${ben.token}`)).status, 404);
+  assert.equal((await request(job.statusUrl)).status, 404);
+  const events = await request(`${job.eventsUrl}?access_token=${ana.token}&api_key=${apiKey}`, { headers: { 'X-API-Key': '' } });
+  assert.match(events.body.toString(), /event: completed/);
+  // With neither a session nor an API key there is no owner to scope to.
+  assert.equal((await request('/api/pantry/items', { headers: { 'X-API-Key': '' } })).status, 401);
+  assert.equal((await request('/api/storage/apples', { headers: { 'X-API-Key': '' } })).status, 200);
+
+  const invite = await request('/api/household/invites', json('POST', ana.token, { maxUses: 1 }));
+  assert.equal(invite.status, 201);
+  const joined = await request('/api/household/join', json('POST', ben.token, { code: invite.body.invite.code }));
+  assert.deepEqual(joined.body.household.members.map((m) => [m.email, m.role]), [['ana@example.com', 'owner'], ['ben@example.com', 'member']]);
+
+  const history = (await request('/api/history', json('GET', ben.token))).body.history;
+  assert.deepEqual(history.map((e) => e.userId), [ana.user.id, ana.user.id]);
+  assert.deepEqual((await request('/api/pantry/items', json('GET', ben.token))).body.items.map((i) => i.id), [added.body.item.id]);
+  const suggestions = await request('/api/suggestions?pantry=true', json('GET', ben.token));
+  assert.deepEqual(suggestions.body.items.map((item) => item.item), ['Apple']);
+
+  // Members can't manage the household.
+  assert.equal((await request('/api/household/invites', json('POST', ben.token, {}))).status, 403);
+  assert.equal((await request(`/api/household/members/${ana.user.id}`, json('DELETE', ben.token))).status, 403);
+
+  const me = await request('/api/auth/me', json('GET', ben.token));
+  assert.equal(me.body.household.id, ana.household.id);
+  assert.equal((await request('/api/auth/logout', json('POST', ben.token))).status, 200);
+  assert.equal((await request('/api/auth/me', json('GET', ben.token))).status, 401);
+  assert.equal((await request('/api/household')).status, 401);
+  assert.equal((await request('/api/auth/login', json('POST', null, { email: 'ben@example.com', password: 'nope' }))).status, 401);
+});
+
+test('unknown routes 404', async () => {
+  assert.equal((await request('/api/nope')).status, 404);
+});
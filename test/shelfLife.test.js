@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { scoreFreshness, summarizeFreshness } = require('../services/freshnessSummary');
+const { validateThresholds, loadThresholds, estimateShelfLife, assessDetections } = require('../services/shelfLife');
+
+const BOX = { x: 0.1, y: 0.1, width: 0.3, height: 0.3 };
+const THRESHOLDS = loadThresholds(path.join(__dirname, '../data/freshness_thresholds.json'));
+
+test('freshness comes from both status probabilities for the same box', () => {
+  const [withCounterpart, alone, rotten] = scoreFreshness([
+    { label: 'Fresh_Apple', confidence: 0.6, counterpartConfidence: 0.2, bbox: BOX },
+    { label: 'Fresh_Banana', confidence: 0.8, bbox: { x: 0.6, y: 0.6, width: 0.2, height: 0.2 } },
+    { label: 'Rotten_Apple', confidence: 0.4, bbox: BOX },
+  ]);
+  // The overlapping Rotten_Apple box beats the anchor's own 0.2.
+  assert.deepEqual(withCounterpart, { score: 0.6, certainty: 0.6 });
+  // Nothing known about Rotten_Banana: taken as 1 - 0.8.
+  assert.deepEqual(alone, { score: 0.8, certainty: 0.8 });
+  assert.deepEqual(rotten, { score: 0.6, certainty: 0.6 });
+  assert.deepEqual(scoreFreshness([{ label: 'Unknown', confidence: 0.9 }]), [null]);
+});
+
+test('the summary counts counterpart probabilities too', () => {
+  const [apple] = summarizeFreshness([{ label: 'Rotten_Apple', confidence: 0.3, counterpartConfidence: 0.9, bbox: BOX }]);
+  assert.equal(apple.freshness, 0.75);
+  assert.equal(apple.status, 'fresh');
+});
+
+test('remaining days scale with freshness and widen with uncertainty', () => {
+  const sure = estimateShelfLife('Apple', 1, 1, { thresholds: THRESHOLDS, shelfLife: 14 });
+  assert.deepEqual(sure, { freshness: 1, remainingDays: { min: 14, max: 14 }, verdict: 'eat_now', trafficLight: 'green' });
+
+  // Fruit: 0 days at the 0.35 discard threshold, linear up to 14 at 1.
+  const unsure = estimateShelfLife('Apple', 0.8, 0.8, { thresholds: THRESHOLDS, shelfLife: 14 });
+  assert.deepEqual(unsure.remainingDays, { min: 7, max: 12 });
+  assert.equal(unsure.verdict, 'eat_now');
+});
+
+test('verdicts follow the category thresholds', () => {
+  const verdict = (item, score, shelfLife = 10) =>
+    estimateShelfLife(item, score, 1, { thresholds: THRESHOLDS, shelfLife }).verdict;
+  assert.equal(verdict('Apple', 0.75), 'eat_now');
+  assert.equal(verdict('Apple', 0.5), 'use_soon');
+  assert.equal(verdict('Apple', 0.3), 'discard');
+  // Meat is stricter.
+  assert.equal(verdict('Beef', 0.75), 'use_soon');
+  assert.equal(verdict('Beef', 0.5), 'discard');
+  // Fresh, but too little shelf life left.
+  assert.equal(verdict('Chicken', 1, 1), 'use_soon');
+
+  const discarded = estimateShelfLife('Apple', 0.2, 1, { thresholds: THRESHOLDS, shelfLife: 14 });
+  assert.deepEqual([discarded.remainingDays, discarded.trafficLight], [{ min: 0, max: 0 }, 'red']);
+  assert.equal(estimateShelfLife('Durian', 0.9, 1, { thresholds: THRESHOLDS, shelfLife: null }).remainingDays, null);
+});
+
+test('assessDetections uses the storage shelf life and drops counterpartConfidence', () => {
+  const [apple] = assessDetections([{ label: 'Fresh_Apple', confidence: 0.9, counterpartConfidence: 0, bbox: BOX }]);
+  assert.equal(apple.freshness, 1);
+  assert.equal(apple.remainingDays.max, 14);
+  assert.equal(apple.trafficLight, 'green');
+  assert.equal('counterpartConfidence' in apple, false);
+});
+
+test('invalid thresholds are rejected with every problem listed', () => {
+  assert.deepEqual(validateThresholds(THRESHOLDS), []);
+  const errors = validateThresholds({
+    default: { eatNow: 0.5, discard: 0.6, useSoonDays: 2 },
+    dairy: {},
+    meat: { eatNow: 2, colour: 'red' },
+  });
+  assert.equal(errors.length, 3);
+  assert.deepEqual(validateThresholds({ default: { eatNow: 0.5, discard: 0.6, useSoonDays: 2 } }), [
+    'default.discard must be below default.eatNow',
+    'meat.discard must be below meat.eatNow',
+    'fruit.discard must be below fruit.eatNow',
+    'vegetable.discard must be below vegetable.eatNow',
+  ]);
+
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'freshtrack-thresholds-')), 'thresholds.json');
+  fs.writeFileSync(file, JSON.stringify({ fruit: { eatNow: 0.7 } }));
+  assert.throws(() => loadThresholds(file), /Invalid freshness thresholds .*needs eatNow, discard and useSoonDays/);
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const { useTempData } = require('./helpers');
+
+useTempData();
+const { StorageService, validateEntry } = require('../services/storageService');
+
+// Lookups warn on misses; keep the test output readable.
+test.beforeEach((t) => t.mock.method(console, 'warn', () => {}));
+
+const storage = new StorageService();
+
+const VALID_ENTRY = {
+  storage: 'Refrigerate',
+  shelf_life: 5,
+  tips: 'Keep dry',
+  signs_of_spoilage: 'Mold',
+  status: 'Fresh',
+  waste_disposal: null,
+};
+
+test('normalizeLabel fixes the status prefix and item capitalisation', () => {
+  assert.equal(storage.normalizeLabel('fresh_apple'), 'Fresh_Apple');
+  assert.equal(storage.normalizeLabel('  ROTTEN_BANANA '), 'Rotten_Banana');
+  assert.equal(storage.normalizeLabel('Fresh_bEEF'), 'Fresh_Beef');
+  assert.equal(storage.normalizeLabel(''), '');
+});
+
+test('resolveKey matches labels regardless of case', () => {
+  assert.equal(storage.resolveKey('Fresh_Apple'), 'Fresh_Apple');
+  assert.equal(storage.resolveKey('FRESH_APPLE'), 'Fresh_Apple');
+  assert.equal(storage.resolveKey('rotten_banana'), 'Rotten_Banana');
+});
+
+test('resolveKey accepts plurals, aliases and near-misses', () => {
+  assert.equal(storage.resolveKey('rotten apples'), 'Rotten_Apple');
+  assert.equal(storage.resolveKey('Fresh_Mango'), 'Fresh_Manggo');
+  assert.equal(storage.resolveKey('fresh steak'), 'Fresh_Beef');
+  assert.equal(storage.resolveKey('fresh aple'), 'Fresh_Apple');
+});
+
+test('resolveKey needs a status for bare names unless a default is given', () => {
+  assert.equal(storage.resolveKey('apples'), null);
+  assert.equal(storage.resolveKey('apples', { defaultStatus: 'Fresh' }), 'Fresh_Apple');
+  assert.equal(storage.resolveKey('manzana', { defaultStatus: 'Fresh' }), 'Fresh_Apple');
+});
+
+test('resolveKey returns null for unknown or invalid names', () => {
+  assert.equal(storage.resolveKey('xyzzy'), null);
+  assert.equal(storage.resolveKey(''), null);
+  assert.equal(storage.resolveKey(undefined), null);
+  assert.equal(storage.resolveKey(42), null);
+});
+
+test('resolveItem returns every variant of a bare item name', () => {
+  const match = storage.resolveItem('apples');
+  assert.equal(match.item, 'Apple');
+  assert.equal(match.status, null);
+  assert.deepEqual(match.labels.sort(), ['Fresh_Apple', 'Rotten_Apple']);
+  assert.deepEqual(storage.resolveItem('fresh apples').labels, ['Fresh_Apple']);
+  assert.equal(storage.resolveItem('xyzzy'), null);
+});
+
+test('searchItems ranks fuzzy candidates', () => {
+  const [best] = storage.searchItems('bananna', { limit: 3 });
+  assert.equal(best.item, 'Banana');
+  assert.equal(best.matchedOn, 'fuzzy');
+  assert.ok(storage.searchItems('bananna', { limit: 3 }).length <= 3);
+});
+
+test('getAllLocalizedStorageData returns every entry with display names', () => {
+  const data = storage.getAllLocalizedStorageData('es');
+  assert.ok(data && typeof data === 'object');
+  assert.equal(Object.keys(data).length, Object.keys(storage.getAllStorageData()).length);
+  assert.equal(data.Fresh_Apple.display_name, 'Manzana fresca');
+  assert.equal(data.Fresh_Apple.shelf_life, 14);
+});
+
+test('getGuidance picks the location and state, converting units', () => {
+  const fridge = storage.getGuidance('Fresh_Apple');
+  assert.equal(fridge.location, 'fridge');
+  assert.equal(fridge.shelf_life.days, 14);
+  assert.equal(fridge.temperature.unit, 'C');
+
+  const frozen = storage.getGuidance('Fresh_Beef', { location: 'freezer', unit: 'F' });
+  assert.equal(frozen.recommended, true);
+  assert.equal(frozen.temperature.display, '0°F');
+
+  assert.equal(storage.getGuidance('xyzzy'), null);
+});
+
+test('getGuidance never recommends storing rotten items', () => {
+  const guidance = storage.getGuidance('Rotten_Apple');
+  assert.equal(guidance.recommended, false);
+  assert.equal(guidance.shelf_life, null);
+});
+
+test('getGuidance rejects unknown locations, states and units with a 400', () => {
+  assert.throws(() => storage.getGuidance('Fresh_Apple', { location: 'attic' }), { status: 400 });
+  assert.throws(() => storage.getGuidance('Fresh_Apple', { state: 'pickled' }), { status: 400 });
+  assert.throws(() => storage.getGuidance('Fresh_Apple', { unit: 'K' }), { status: 400 });
+});
+
+test('validateEntry lists every problem', () => {
+  assert.deepEqual(validateEntry('Fresh_Kiwi', VALID_ENTRY), []);
+  const errors = validateEntry('kiwi', { ...VALID_ENTRY, shelf_life: -1, status: 'Rotten', colour: 'green' });
+  assert.deepEqual(errors.map((e) => e.field).sort(), ['colour', 'name', 'shelf_life']);
+  assert.deepEqual(
+    validateEntry('Fresh_Kiwi', { ...VALID_ENTRY, status: 'Rotten' }).map((e) => e.field),
+    ['status']
+  );
+});
+
+test('entries are created, normalized and saved to the storage file', () => {
+  const saved = storage.createEntry('fresh_kiwi', VALID_ENTRY);
+  assert.equal(saved.name, 'Fresh_Kiwi');
+  assert.equal(storage.resolveKey('fresh kiwis'), 'Fresh_Kiwi');
+  assert.ok(JSON.parse(fs.readFileSync(storage.storageDataPath, 'utf8')).Fresh_Kiwi);
+
+  assert.throws(() => storage.createEntry('Fresh_Kiwi', VALID_ENTRY), { status: 409 });
+  assert.throws(() => storage.createEntry('Fresh_Fig', { storage: '' }), { status: 400 });
+  assert.equal(storage.updateEntry('Fresh_Kiwi', { shelf_life: 9 }).shelf_life, 9);
+  assert.equal(storage.deleteEntry('Fresh_Kiwi'), true);
+  assert.equal(storage.deleteEntry('Fresh_Kiwi'), false);
+});
+
+test('status reports a failed load', (t) => {
+  assert.equal(storage.status().ok, true);
+  fs.writeFileSync(process.env.STORAGE_PATH, '{ not json');
+  t.mock.method(console, 'error', () => {});
+  const broken = new StorageService();
+  assert.equal(broken.status().ok, false);
+  assert.match(broken.status().error, /JSON/);
+});
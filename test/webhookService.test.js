@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useTempData } = require('./helpers');
+
+useTempData();
+const { webhookService, isBlockedAddress } = require('../services/webhookService');
+
+test('internal addresses are blocked', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fe80::1', 'fd00:ec2::254', '::ffff:127.0.0.1']) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+  for (const address of ['203.0.113.10', '8.8.8.8', '2606:4700::1111', '::ffff:8.8.8.8']) {
+    assert.equal(isBlockedAddress(address), false, address);
+  }
+});
+
+test('IPv6 addresses embedding an internal IPv4 address are blocked', () => {
+  // NAT64, IPv4-mapped in hex, IPv4-translated, IPv4-compatible and 6to4.
+  for (const address of ['64:ff9b::a00:1', '64:ff9b::169.254.169.254', '::ffff:7f00:1', '::ffff:0:a00:1', '::a00:1', '2002:c0a8:101::1', '64:ff9b:1::1', '2001:0:4136:e378::1']) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+  for (const address of ['64:ff9b::cb00:710a', '::ffff:0:808:808', '2002:cb00:710a::1']) {
+    assert.equal(isBlockedAddress(address), false, address);
+  }
+});
+
+test('webhooks to internal hosts are refused at registration', async () => {
+  for (const url of ['http://127.0.0.1:8080/hook', 'http://localhost/hook', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/hook', 'http://10.0.0.5/hook']) {
+    await assert.rejects(webhookService.registerWebhook({ url }, { clientId: 'client-a' }), { status: 400, message: /not allowed/ }, url);
+  }
+  const webhook = await webhookService.registerWebhook({ url: 'https://203.0.113.10/hook' }, { clientId: 'client-a' });
+  assert.equal(webhook.url, 'https://203.0.113.10/hook');
+});
+
+test('deliveries re-check the target before connecting', async () => {
+  const webhook = await webhookService.registerWebhook({ url: 'http://203.0.113.11/hook' }, { clientId: 'client-b' });
+  // As if its host had since been pointed at an internal address.
+  webhookService.webhooks.find((w) => w.id === webhook.id).url = 'http://127.0.0.1:9/hook';
+
+  const [delivery] = await webhookService.emit('item.expired', { item: { id: 'x' } }, { clientId: 'client-b' });
+  assert.equal(delivery.status, 'pending');
+  assert.equal(delivery.lastStatusCode, null);
+  assert.match(delivery.lastError, /private or internal address/);
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectLayout, counterpartIndexes, nonMaxSuppression, iou, toImageSpace, decodeYoloOutput } = require('../services/yoloDecoder');
+const { yoloOutput } = require('./helpers');
+
+const CLASSES = ['Fresh_Apple', 'Rotten_Apple', 'Fresh_Banana'];
+// 640x640 input, no letterboxing.
+const IDENTITY = { originalWidth: 640, originalHeight: 640, scaleX: 1, scaleY: 1, padX: 0, padY: 0 };
+
+function decode(boxes, options = {}) {
+  const { format, ...rest } = options;
+  return decodeYoloOutput(yoloOutput(boxes, CLASSES.length, { format }), {
+    classNames: CLASSES,
+    transform: IDENTITY,
+    format,
+    ...rest,
+  });
+}
+
+test('detectLayout reads yolov8 and yolov5 shapes in either orientation', () => {
+  assert.equal(detectLayout([1, 7, 8400], 3).format, 'yolov8');
+  assert.equal(detectLayout([1, 7, 8400], 3).channelsFirst, true);
+  assert.equal(detectLayout([1, 8400, 7], 3).channelsFirst, false);
+  assert.equal(detectLayout([1, 25200, 8], 3).format, 'yolov5');
+  assert.equal(detectLayout([1, 8, 25200], 3).hasObjectness, true);
+});
+
+test('detectLayout rejects shapes that do not fit the class count', () => {
+  assert.throws(() => detectLayout([1, 30, 100], 3), /Unsupported YOLO output shape \[1,30,100\] for 3 classes/);
+  assert.throws(() => detectLayout([1, 7], 3), /expected 3 dimensions/);
+  assert.throws(() => detectLayout([1, 7, 100], 3, 'yolov5'), /in yolov5 format/);
+});
+
+test('decodes yolov8 output into labelled, normalized boxes', () => {
+  const [detection] = decode([{ classId: 0, score: 0.9, cx: 320, cy: 160, w: 128, h: 64 }]);
+  assert.equal(detection.label, 'Fresh_Apple');
+  assert.equal(detection.confidence, 0.9);
+  assert.deepEqual(detection.bboxPixels, { x: 256, y: 128, width: 128, height: 64 });
+  assert.deepEqual(detection.bbox, { x: 0.4, y: 0.2, width: 0.2, height: 0.1 });
+});
+
+test('decodes yolov5 output with an objectness column', () => {
+  const detections = decode([{ classId: 2, score: 0.8, cx: 100, cy: 100, w: 50, h: 50 }], { format: 'yolov5' });
+  assert.equal(detections.length, 1);
+  assert.equal(detections[0].label, 'Fresh_Banana');
+  assert.equal(detections[0].confidence, 0.8);
+});
+
+test('Fresh_X and Rotten_X detections carry the other status probability for the same box', () => {
+  const [apple, banana] = decode([
+    { classId: 0, score: 0.8, cx: 100, cy: 100, w: 50, h: 50, otherScores: { 1: 0.15 } },
+    { classId: 2, score: 0.7, cx: 400, cy: 400, w: 50, h: 50 },
+  ]);
+  assert.equal(apple.counterpartConfidence, 0.15);
+  // No Rotten_Banana class in this model.
+  assert.equal(banana.counterpartConfidence, undefined);
+  assert.deepEqual(counterpartIndexes(CLASSES), [1, 0, -1]);
+});
+
+test('drops boxes at or below the confidence threshold', () => {
+  const boxes = [
+    { classId: 0, score: 0.9, cx: 100, cy: 100, w: 50, h: 50 },
+    { classId: 1, score: 0.3, cx: 400, cy: 400, w: 50, h: 50 },
+  ];
+  assert.equal(decode(boxes).length, 2);
+  assert.deepEqual(decode(boxes, { confThreshold: 0.5 }).map((d) => d.label), ['Fresh_Apple']);
+});
+
+test('NMS suppresses overlapping boxes of the same class only', () => {
+  const boxes = [
+    { classId: 0, score: 0.7, cx: 105, cy: 100, w: 100, h: 100 },
+    { classId: 0, score: 0.9, cx: 100, cy: 100, w: 100, h: 100 },
+    { classId: 1, score: 0.6, cx: 100, cy: 100, w: 100, h: 100 },
+    { classId: 0, score: 0.5, cx: 500, cy: 500, w: 100, h: 100 },
+  ];
+  const detections = decode(boxes);
+  assert.deepEqual(
+    detections.map((d) => [d.label, d.confidence]),
+    [['Fresh_Apple', 0.9], ['Rotten_Apple', 0.6], ['Fresh_Apple', 0.5]]
+  );
+});
+
+test('the IoU threshold decides what counts as overlapping', () => {
+  // Two boxes offset by half their width: IoU = 1/3.
+  const boxes = [
+    { classId: 0, score: 0.9, cx: 100, cy: 100, w: 100, h: 100 },
+    { classId: 0, score: 0.8, cx: 150, cy: 100, w: 100, h: 100 },
+  ];
+  assert.equal(decode(boxes, { iouThreshold: 0.3 }).length, 1);
+  assert.equal(decode(boxes, { iouThreshold: 0.5 }).length, 2);
+});
+
+test('maxDetections and the class allow-list are applied', () => {
+  const boxes = [
+    { classId: 0, score: 0.9, cx: 100, cy: 100, w: 40, h: 40 },
+    { classId: 1, score: 0.8, cx: 300, cy: 100, w: 40, h: 40 },
+    { classId: 2, score: 0.7, cx: 500, cy: 100, w: 40, h: 40 },
+  ];
+  assert.equal(decode(boxes, { maxDetections: 2 }).length, 2);
+  // Excluded classes don't use up maxDetections.
+  const allowed = decode(boxes, { classes: ['Fresh_Banana'], maxDetections: 1 });
+  assert.deepEqual(allowed.map((d) => d.label), ['Fresh_Banana']);
+});
+
+test('reads one image out of a batched output', () => {
+  const first = yoloOutput([{ classId: 0, score: 0.9, cx: 100, cy: 100, w: 40, h: 40 }], CLASSES.length);
+  const second = yoloOutput([{ classId: 2, score: 0.8, cx: 100, cy: 100, w: 40, h: 40 }], CLASSES.length);
+  const data = new Float32Array(first.data.length * 2);
+  data.set(first.data, 0);
+  data.set(second.data, first.data.length);
+  const output = { dims: [2, first.dims[1], first.dims[2]], data };
+
+  const options = { classNames: CLASSES, transform: IDENTITY };
+  assert.equal(decodeYoloOutput(output, { ...options, batchIndex: 0 })[0].label, 'Fresh_Apple');
+  assert.equal(decodeYoloOutput(output, { ...options, batchIndex: 1 })[0].label, 'Fresh_Banana');
+});
+
+test('iou of identical, disjoint and half-overlapping boxes', () => {
+  const a = { x1: 0, y1: 0, x2: 10, y2: 10 };
+  assert.equal(iou(a, a), 1);
+  assert.equal(iou(a, { x1: 20, y1: 20, x2: 30, y2: 30 }), 0);
+  assert.equal(iou(a, { x1: 5, y1: 0, x2: 15, y2: 10 }), 1 / 3);
+});
+
+test('nonMaxSuppression keeps at most maxBoxes, highest scores first', () => {
+  const boxes = [0.2, 0.9, 0.5].map((score, i) => ({ classId: 0, score, x1: i * 20, y1: 0, x2: i * 20 + 10, y2: 10 }));
+  assert.deepEqual(nonMaxSuppression(boxes, 0.4, 2).map((b) => b.score), [0.9, 0.5]);
+});
+
+test('toImageSpace undoes letterbox scaling and padding and clamps to the image', () => {
+  // 1280x640 image letterboxed into 640x640: scale 0.5, 160px bars top and bottom.
+  const transform = { originalWidth: 1280, originalHeight: 640, scaleX: 0.5, scaleY: 0.5, padX: 0, padY: 160 };
+  assert.deepEqual(toImageSpace({ x1: 100, y1: 200, x2: 200, y2: 300 }, transform), { x: 200, y: 80, width: 200, height: 200 });
+  assert.deepEqual(toImageSpace({ x1: -10, y1: 100, x2: 50, y2: 170 }, transform), { x: 0, y: 0, width: 100, height: 20 });
+});